@@ -3,8 +3,57 @@ import dotenv from 'dotenv';
 import helmet from 'helmet';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
-import { scrapeAxsTickets } from './scrape.js';
-import { parseAXSTickets } from './parse_tickets.js';
+import { runScrape } from './runner.js';
+import { sessionQueue, QueueTimeoutError } from './session_queue.js';
+import { replayCapture, normalizeCaptureBundle, bundleEventMetadata, CaptureBundleError } from './replay.js';
+import { SchemaDriftError } from './response_schemas.js';
+import { estimateCheckout, CheckoutEstimateError } from './checkout.js';
+import { normalizeParseOptions, ParseOptionsError } from './parse_tickets.js';
+import { normalizeBrowserOptions, normalizeRequestBrowserOptions, BrowserProviderError } from './browser_providers.js';
+import { createJob, getJob, cancelJob, subscribeJob } from './jobs.js';
+import { runBatch, BATCH_MAX_URLS } from './batch.js';
+import { describeError, serializeError } from './error_codes.js';
+import { normalizeRetryOptions, RetryOptionsError } from './retry.js';
+import { parseAxsUrl, validateAxsUrl } from './axs_url.js';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveClient,
+  recordUsage,
+  consumeScrapeQuota,
+  refundScrapeQuota,
+  ownedBy,
+  getUsageReport,
+  ApiKeyValidationError
+} from './api_keys.js';
+import { isPersistenceEnabled, listEvents, getEvent, getEventSections, listRuns, getRun } from './db.js';
+import { summarizeSections } from './section_summary.js';
+import { resolveCaptureTargets } from './capture_targets.js';
+import { buildSeatMap, rankListings } from './seat_map.js';
+import { getRunChanges, getSectionHistory } from './history.js';
+import {
+  createWatch,
+  listWatches,
+  getWatch,
+  updateWatch,
+  deleteWatch,
+  checkWatch,
+  watchJobs,
+  WatchValidationError
+} from './watches.js';
+import { listDeliveries, resumePendingDeliveries } from './webhooks.js';
+import {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  scheduleJobs,
+  ScheduleValidationError
+} from './scheduler.js';
+import { startDueJobPoller } from './due_jobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -14,55 +63,941 @@ const app = express();
 // Security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '25mb' })); // Capture bundles posted to /parse can be large
 
-// Rate limiting
+// Rate limiting for requests that fail authentication: each IP gets 100 per 15 minutes. Authenticated requests
+// are not counted, so keys sharing an IP (behind NAT or a proxy) are only held to their own per-key limit below
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.client)
 });
 app.use(limiter);
 
-// API key authentication middleware
-const authenticateApiKey = (req, res, next) => {
+// API key authentication middleware: API_KEY is the admin key, other keys are stored hashed (see api_keys.js)
+const authenticateApiKey = async (req, res, next) => {
   const apiKey = req.header('X-API-Key');
   
   if (!apiKey) {
     return res.status(401).json({ error: 'API key is required' });
   }
   
-  if (apiKey !== process.env.API_KEY) {
+  let client;
+  try {
+    client = await resolveClient(apiKey);
+  } catch (error) {
+    return next(error);
+  }
+  if (!client) {
     return res.status(403).json({ error: 'Invalid API key' });
   }
   
+  req.client = client;
+  recordUsage(client, { requests: 1 }).catch(error => {
+    console.error('Error recording API key usage:', error.message);
+  });
   next();
 };
 
+// Per-key rate limit
+const keyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.client.rateLimitPerMinute,
+  skip: (req) => !req.client.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key-${req.client.id}`
+});
+
+// Authenticates the request and checks that its key has the scope
+const requireScope = (scope) => [
+  authenticateApiKey,
+  keyLimiter,
+  (req, res, next) => {
+    if (!req.client.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key does not have the ${scope} scope` });
+    }
+    next();
+  }
+];
+
+// Counts scrapes against the key's daily quota and returns the UTC day they were counted against;
+// sends a 429 and returns null once the quota is used up
+const consumeQuota = async (req, res, count) => {
+  const { allowed, used, quota, day } = await consumeScrapeQuota(req.client, count);
+  if (allowed) {
+    return day;
+  }
+  
+  // Quotas reset at midnight UTC
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  const retryAfterSeconds = Math.ceil((midnight.getTime() - Date.now()) / 1000);
+  
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    error: 'Daily scrape quota exceeded',
+    code: 'QUOTA_EXCEEDED',
+    message: `${used} of ${quota} scrapes used today, ${count} more requested`,
+    retryable: true,
+    retryAfterSeconds
+  });
+  return null;
+};
+
+// Optional per-request override of how long to wait for a browser session
+const parseQueueTimeout = (value) => {
+  if (value === undefined) {
+    return { queueTimeoutMs: undefined };
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    return { error: 'queueTimeoutMs must be a positive integer' };
+  }
+  return { queueTimeoutMs: value };
+};
+
+// Optional seat grouping options for parseAXSTickets, validated before any session is opened
+const validateParseOptions = (value) => {
+  if (value === undefined) {
+    return { parseOptions: undefined };
+  }
+  try {
+    normalizeParseOptions(value);
+  } catch (error) {
+    if (error instanceof ParseOptionsError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+  return { parseOptions: value };
+};
+
+// Optional browser provider and proxy country for one scrape; the provider must be configured on this server
+const validateBrowserOptions = (value) => {
+  if (value === undefined) {
+    return { browserOptions: undefined };
+  }
+  try {
+    normalizeRequestBrowserOptions(value);
+  } catch (error) {
+    if (error instanceof BrowserProviderError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+  return { browserOptions: value };
+};
+
+// Optional retry budget; rotating proxy countries needs a provider that supports them
+const validateRetryOptions = (value, browserOptions) => {
+  if (value === undefined) {
+    return { retry: undefined };
+  }
+  try {
+    const { proxyCountries } = normalizeRetryOptions(value);
+    if (proxyCountries) {
+      normalizeBrowserOptions({ ...browserOptions, proxyCountry: proxyCountries[0] });
+    }
+  } catch (error) {
+    if (error instanceof RetryOptionsError || error instanceof BrowserProviderError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+  return { retry: value };
+};
+
+// Listing order: as parsed, or best seat first (see rankListings)
+const LISTING_SORTS = ['best'];
+const validateSort = (value) => {
+  if (value !== undefined && !LISTING_SORTS.includes(value)) {
+    return `sort must be one of: ${LISTING_SORTS.join(', ')}`;
+  }
+  return null;
+};
+
+// Scrape failure response: status, stable code and retry hint from the error class (see error_codes.js)
+const sendScrapeError = (res, error, extra = {}) => {
+  const { status, code, retryable, retryAfterSeconds } = describeError(error);
+  if (retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+  }
+  res.status(status).json({
+    error: 'Failed to process request',
+    code,
+    message: error.message,
+    retryable,
+    retryAfterSeconds,
+    attempts: error.attempts || [],
+    ...(error.report ? { schemaDrift: error.report } : {}),
+    ...extra
+  });
+};
+
 // Scrape endpoint
-app.post('/scrape', authenticateApiKey, async (req, res) => {
+app.post('/scrape', requireScope('scrape'), async (req, res) => {
   try {
     const { url } = req.body;
     
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+    const urlError = validateAxsUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    
+    const { queueTimeoutMs, error: queueTimeoutError } = parseQueueTimeout(req.body.queueTimeoutMs);
+    if (queueTimeoutError) {
+      return res.status(400).json({ error: queueTimeoutError });
+    }
+    
+    const { parseOptions, error: parseOptionsError } = validateParseOptions(req.body.parseOptions);
+    if (parseOptionsError) {
+      return res.status(400).json({ error: parseOptionsError });
+    }
+    
+    const { browserOptions, error: browserOptionsError } = validateBrowserOptions(req.body.browser);
+    if (browserOptionsError) {
+      return res.status(400).json({ error: browserOptionsError });
     }
     
-    if (!url.includes('axs.com')) {
-      return res.status(400).json({ error: 'Only AXS.com URLs are supported' });
+    const { retry, error: retryError } = validateRetryOptions(req.body.retry, browserOptions);
+    if (retryError) {
+      return res.status(400).json({ error: retryError });
     }
     
-    // Scrape and parse the data
+    const sortError = validateSort(req.body.sort);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+    
+    if (!await consumeQuota(req, res, 1)) {
+      return;
+    }
+    
+    // Scrape and parse the data once a browser session is free
     console.log(`Starting scrape for URL: ${url}`);
-    const tickets = await scrapeAxsTickets(url);
+    let initialPosition = null;
+    const { event, capturedAt, tickets, sections, seatMap, captures, runId, changes, attempts } = await runScrape(url, {
+      queueTimeoutMs,
+      parseOptions,
+      browserOptions,
+      retry,
+      onQueuePosition: position => {
+        if (initialPosition === null) {
+          initialPosition = position;
+        }
+      }
+    });
     
-    // Return the tickets array
-    res.json(tickets);
+    // Envelope with the event metadata, tickets and changes since the previous run (null without persistence),
+    // plus the section summary, attempt log, extra captures and seat map when asked for.
+    // X-Queue-Position is the position the request started at (0 if a session was free); headers only go out with
+    // the finished response, so callers that want to follow their live position should use POST /jobs or GET /queue
+    res.set('X-Queue-Position', String(initialPosition || 0));
+    res.set('X-Scrape-Attempts', String(attempts.length));
+    const { eventId } = parseAxsUrl(url);
+    if (eventId) {
+      res.set('X-AXS-Event-Id', eventId);
+    }
+    if (runId) {
+      res.set('X-Scrape-Run-Id', String(runId));
+    }
+    const envelope = {
+      url,
+      capturedAt,
+      event,
+      tickets: req.body.sort === 'best' ? rankListings(tickets, seatMap) : tickets,
+      changes
+    };
+    if (req.body.includeSections === true) {
+      envelope.sections = sections;
+    }
+    if (req.body.includeAttempts === true) {
+      envelope.attempts = attempts;
+    }
+    if (req.body.includeCaptures === true) {
+      envelope.captures = captures;
+    }
+    if (req.body.includeSeatMap === true) {
+      envelope.seatMap = seatMap;
+    }
+    res.json(envelope);
     
   } catch (error) {
+    if (error instanceof QueueTimeoutError) {
+      return sendScrapeError(res, error, {
+        error: 'No browser session available',
+        queue: sessionQueue.stats()
+      });
+    }
     console.error('Error processing request:', error);
-    res.status(500).json({ 
-      error: 'Failed to process request',
-      message: error.message 
+    sendScrapeError(res, error);
+  }
+});
+
+// Validates one batch entry (a URL string or { url, queueTimeoutMs, parseOptions, browser, retry }), falling back to the batch-wide options
+const parseBatchEntry = (value, defaults) => {
+  const entry = typeof value === 'string' ? { url: value } : value;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: 'must be a URL or an object with a url' };
+  }
+  
+  const urlError = validateAxsUrl(entry.url);
+  if (urlError) {
+    return { error: urlError };
+  }
+  
+  const { queueTimeoutMs, error: queueTimeoutError } = parseQueueTimeout(entry.queueTimeoutMs);
+  if (queueTimeoutError) {
+    return { error: queueTimeoutError };
+  }
+  
+  const { parseOptions, error: parseOptionsError } = validateParseOptions(entry.parseOptions);
+  if (parseOptionsError) {
+    return { error: parseOptionsError };
+  }
+  
+  const { browserOptions: entryBrowserOptions, error: browserOptionsError } = validateBrowserOptions(entry.browser);
+  if (browserOptionsError) {
+    return { error: browserOptionsError };
+  }
+  const browserOptions = entryBrowserOptions !== undefined ? entryBrowserOptions : defaults.browserOptions;
+  
+  // The batch-wide retry options are checked again against this entry's browser provider
+  const { retry, error: retryError } = validateRetryOptions(
+    entry.retry !== undefined ? entry.retry : defaults.retry,
+    browserOptions
+  );
+  if (retryError) {
+    return { error: retryError };
+  }
+  
+  return {
+    entry: {
+      url: entry.url,
+      queueTimeoutMs: queueTimeoutMs !== undefined ? queueTimeoutMs : defaults.queueTimeoutMs,
+      parseOptions: parseOptions !== undefined ? parseOptions : defaults.parseOptions,
+      browserOptions,
+      retry
+    }
+  };
+};
+
+// Batch scrape: streams one NDJSON line per URL as it finishes, then a summary line
+app.post('/scrape/batch', requireScope('scrape'), async (req, res, next) => {
+  const { urls } = req.body;
+  
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({ error: 'urls must be a non-empty array' });
+  }
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({ error: `A batch can contain at most ${BATCH_MAX_URLS} URLs` });
+  }
+  
+  const { queueTimeoutMs, error: queueTimeoutError } = parseQueueTimeout(req.body.queueTimeoutMs);
+  if (queueTimeoutError) {
+    return res.status(400).json({ error: queueTimeoutError });
+  }
+  
+  const { parseOptions, error: parseOptionsError } = validateParseOptions(req.body.parseOptions);
+  if (parseOptionsError) {
+    return res.status(400).json({ error: parseOptionsError });
+  }
+  
+  const { browserOptions, error: browserOptionsError } = validateBrowserOptions(req.body.browser);
+  if (browserOptionsError) {
+    return res.status(400).json({ error: browserOptionsError });
+  }
+  
+  const { retry, error: retryError } = validateRetryOptions(req.body.retry, browserOptions);
+  if (retryError) {
+    return res.status(400).json({ error: retryError });
+  }
+  
+  // Reject the whole batch up front if any entry is invalid, before any session is opened
+  const entries = [];
+  for (let index = 0; index < urls.length; index++) {
+    const { entry, error } = parseBatchEntry(urls[index], { queueTimeoutMs, parseOptions, browserOptions, retry });
+    if (error) {
+      return res.status(400).json({ error: `urls[${index}]: ${error}` });
+    }
+    entries.push(entry);
+  }
+  
+  // The whole batch is counted up front; entries that never get a session are given back when it ends
+  let quotaDay;
+  try {
+    quotaDay = await consumeQuota(req, res, entries.length);
+    if (!quotaDay) {
+      return;
+    }
+  } catch (error) {
+    return next(error);
+  }
+  
+  // Scrapes still queued or running are cancelled if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  
+  console.log(`Starting batch scrape of ${entries.length} URLs`);
+  res.status(200).type('application/x-ndjson');
+  res.flushHeaders();
+  
+  const writeLine = (data) => {
+    if (!res.writableEnded) {
+      res.write(JSON.stringify(data) + '\n');
+    }
+  };
+  
+  try {
+    const summary = await runBatch(entries, {
+      signal: controller.signal,
+      onResult: result => writeLine({ type: 'result', ...result })
+    });
+    console.log(`Batch scrape finished: ${summary.succeeded} succeeded, ${summary.failed} failed`);
+    writeLine({ type: 'summary', ...summary });
+    refundScrapeQuota(req.client, summary.total - summary.started, quotaDay).catch(error => {
+      console.error('Error refunding batch scrape quota:', error.message);
+    });
+  } catch (error) {
+    console.error('Error processing batch request:', error);
+    writeLine({ type: 'error', error: serializeError(error) });
+  }
+  res.end();
+});
+
+// Session queue depth
+app.get('/queue', requireScope('scrape'), (req, res) => {
+  res.json(sessionQueue.stats());
+});
+
+// Async job endpoints: start a scrape and poll for its result
+app.post('/jobs', requireScope('scrape'), async (req, res, next) => {
+  const { url } = req.body;
+  
+  const urlError = validateAxsUrl(url);
+  if (urlError) {
+    return res.status(400).json({ error: urlError });
+  }
+  
+  const { queueTimeoutMs, error: queueTimeoutError } = parseQueueTimeout(req.body.queueTimeoutMs);
+  if (queueTimeoutError) {
+    return res.status(400).json({ error: queueTimeoutError });
+  }
+  
+  const { parseOptions, error: parseOptionsError } = validateParseOptions(req.body.parseOptions);
+  if (parseOptionsError) {
+    return res.status(400).json({ error: parseOptionsError });
+  }
+  
+  const { browserOptions, error: browserOptionsError } = validateBrowserOptions(req.body.browser);
+  if (browserOptionsError) {
+    return res.status(400).json({ error: browserOptionsError });
+  }
+  
+  const { retry, error: retryError } = validateRetryOptions(req.body.retry, browserOptions);
+  if (retryError) {
+    return res.status(400).json({ error: retryError });
+  }
+  
+  try {
+    if (!await consumeQuota(req, res, 1)) {
+      return;
+    }
+  } catch (error) {
+    return next(error);
+  }
+  
+  console.log(`Queueing scrape job for URL: ${url}`);
+  const job = createJob(url, { queueTimeoutMs, parseOptions, browserOptions, retry, apiKeyId: req.client.id });
+  res.status(202).location(`/jobs/${job.id}`).json(job);
+});
+
+app.get('/jobs/:id', requireScope('scrape'), (req, res) => {
+  const job = getJob(req.params.id, ownedBy(req.client));
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Live progress of a job as Server-Sent Events; the stream ends after done, failed or cancelled
+app.get('/jobs/:id/events', requireScope('scrape'), (req, res) => {
+  if (!getJob(req.params.id, ownedBy(req.client))) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const writeEvent = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  // Comment lines keep proxies from closing an idle stream while the captcha is being solved
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+  
+  const unsubscribe = subscribeJob(req.params.id, writeEvent, () => {
+    clearInterval(heartbeat);
+    res.end();
+  }, ownedBy(req.client));
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  });
+});
+
+app.delete('/jobs/:id', requireScope('scrape'), (req, res) => {
+  const { job, cancelled } = cancelJob(req.params.id, ownedBy(req.client));
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!cancelled) {
+    return res.status(409).json({ error: `Job already ${job.status}`, job });
+  }
+  res.json(job);
+});
+
+// Stored data endpoints (require DATABASE_URL)
+const requirePersistence = (req, res, next) => {
+  if (!isPersistenceEnabled()) {
+    return res.status(503).json({ error: 'Persistence is not configured' });
+  }
+  next();
+};
+
+// Parses a numeric route parameter, or returns null if it is not a positive integer
+const parseIdParam = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+app.get('/events', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseIdParam(req.query.limit) || 50, 500);
+    const { events, nextCursor } = await listEvents({
+      axsEventId: req.query.axsEventId,
+      limit,
+      cursor: parseIdParam(req.query.cursor)
+    });
+    // Pass the cursor back as ?cursor= for the next page
+    if (nextCursor) {
+      res.set('X-Next-Cursor', String(nextCursor));
+    }
+    res.json(events);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/events/:eventId', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const eventId = parseIdParam(req.params.eventId);
+    const event = eventId && await getEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json(event);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/events/:eventId/runs', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const eventId = parseIdParam(req.params.eventId);
+    if (!eventId) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    const limit = Math.min(parseIdParam(req.query.limit) || 50, 500);
+    res.json(await listRuns(eventId, { limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/events/:eventId/history', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const eventId = parseIdParam(req.params.eventId);
+    if (!eventId) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    
+    let since;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'since must be an ISO date' });
+      }
+    }
+    const limit = Math.min(parseIdParam(req.query.limit) || 100, 1000);
+    
+    res.json(await getSectionHistory(eventId, { since, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/events/:eventId/sections', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const eventId = parseIdParam(req.params.eventId);
+    const summary = eventId && await getEventSections(eventId);
+    if (!summary) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/runs/:runId/changes', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const runId = parseIdParam(req.params.runId);
+    const changes = runId && await getRunChanges(runId);
+    if (!changes) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(changes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/runs/:runId', requireScope('history'), requirePersistence, async (req, res, next) => {
+  try {
+    const runId = parseIdParam(req.params.runId);
+    const run = runId && await getRun(runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Watch endpoints: scheduled scrapes that notify a webhook about matching tickets
+app.post('/watches', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    res.status(201).json(await createWatch(req.body, req.client.id));
+  } catch (error) {
+    if (error instanceof WatchValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+app.get('/watches', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    res.json(await listWatches(ownedBy(req.client)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/watches/:watchId', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const watchId = parseIdParam(req.params.watchId);
+    const watch = watchId && await getWatch(watchId, ownedBy(req.client));
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(watch);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch('/watches/:watchId', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const watchId = parseIdParam(req.params.watchId);
+    const watch = watchId && await updateWatch(watchId, req.body, ownedBy(req.client));
+    if (!watch) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(watch);
+  } catch (error) {
+    if (error instanceof WatchValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+app.delete('/watches/:watchId', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const watchId = parseIdParam(req.params.watchId);
+    if (!watchId || !await deleteWatch(watchId, ownedBy(req.client))) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/watches/:watchId/deliveries', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const watchId = parseIdParam(req.params.watchId);
+    if (!watchId || !await getWatch(watchId, ownedBy(req.client))) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    const limit = Math.min(parseIdParam(req.query.limit) || 50, 500);
+    res.json(await listDeliveries(watchId, { limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a watch now instead of waiting for its next scheduled run
+app.post('/watches/:watchId/check', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const watchId = parseIdParam(req.params.watchId);
+    if (!watchId || !await getWatch(watchId, ownedBy(req.client))) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    if (!await consumeQuota(req, res, 1)) {
+      return;
+    }
+    const result = await checkWatch(watchId, ownedBy(req.client));
+    if (!result) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof QueueTimeoutError) {
+      return sendScrapeError(res, error, {
+        error: 'No browser session available',
+        queue: sessionQueue.stats()
+      });
+    }
+    console.error(`Error checking watch ${req.params.watchId}:`, error);
+    sendScrapeError(res, error, { error: 'Failed to check watch' });
+  }
+});
+
+// Schedule endpoints: recurring scrapes of registered events
+app.post('/schedules', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    res.status(201).json(await createSchedule(req.body, req.client.id));
+  } catch (error) {
+    if (error instanceof ScheduleValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+app.get('/schedules', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    res.json(await listSchedules(ownedBy(req.client)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/schedules/:scheduleId', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const scheduleId = parseIdParam(req.params.scheduleId);
+    const schedule = scheduleId && await getSchedule(scheduleId, ownedBy(req.client));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/schedules/:scheduleId/pause', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const scheduleId = parseIdParam(req.params.scheduleId);
+    const schedule = scheduleId && await pauseSchedule(scheduleId, ownedBy(req.client));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/schedules/:scheduleId/resume', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const scheduleId = parseIdParam(req.params.scheduleId);
+    const schedule = scheduleId && await resumeSchedule(scheduleId, ownedBy(req.client));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/schedules/:scheduleId', requireScope('watches'), requirePersistence, async (req, res, next) => {
+  try {
+    const scheduleId = parseIdParam(req.params.scheduleId);
+    if (!scheduleId || !await deleteSchedule(scheduleId, ownedBy(req.client))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API key management and usage (admin scope)
+app.post('/keys', requireScope('admin'), requirePersistence, async (req, res, next) => {
+  try {
+    res.status(201).json(await createApiKey(req.body));
+  } catch (error) {
+    if (error instanceof ApiKeyValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+app.get('/keys', requireScope('admin'), requirePersistence, async (req, res, next) => {
+  try {
+    res.json(await listApiKeys());
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/keys/:keyId', requireScope('admin'), requirePersistence, async (req, res, next) => {
+  try {
+    const keyId = parseIdParam(req.params.keyId);
+    const apiKey = keyId && await revokeApiKey(keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/usage', requireScope('admin'), requirePersistence, async (req, res, next) => {
+  try {
+    const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+    for (const param of ['since', 'until']) {
+      if (req.query[param] !== undefined && !dayPattern.test(req.query[param])) {
+        return res.status(400).json({ error: `${param} must be a date (YYYY-MM-DD)` });
+      }
+    }
+    res.json(await getUsageReport({ since: req.query.since, until: req.query.until }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay endpoint: parse a saved capture bundle without opening a browser session.
+// Responds with the same envelope as POST /scrape; changes is always null, since a replay is not stored as a run
+app.post('/parse', requireScope('scrape'), async (req, res) => {
+  try {
+    const bundle = normalizeCaptureBundle(req.body);
+    const sortError = validateSort(req.body.sort);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    const tickets = await replayCapture(bundle, req.body.parseOptions);
+    const seatMap = buildSeatMap(bundle);
+    const envelope = {
+      url: bundle.url || null,
+      capturedAt: bundle.capturedAt || null,
+      event: bundleEventMetadata(bundle),
+      tickets: req.body.sort === 'best' ? rankListings(tickets, seatMap) : tickets,
+      changes: null
+    };
+    if (req.body.includeSections === true) {
+      envelope.sections = summarizeSections(bundle);
+    }
+    if (req.body.includeSeatMap === true) {
+      envelope.seatMap = seatMap;
+    }
+    res.json(envelope);
+  } catch (error) {
+    if (error instanceof CaptureBundleError || error instanceof ParseOptionsError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof SchemaDriftError) {
+      return res.status(422).json({
+        error: error.message,
+        code: describeError(error).code,
+        schemaDrift: error.report
+      });
+    }
+    console.error('Error parsing capture bundle:', error);
+    res.status(500).json({
+      error: 'Failed to parse capture bundle',
+      message: error.message
+    });
+  }
+});
+
+// Section summary of a saved capture bundle
+app.post('/parse/sections', requireScope('scrape'), (req, res) => {
+  try {
+    res.json(summarizeSections(normalizeCaptureBundle(req.body)));
+  } catch (error) {
+    if (error instanceof CaptureBundleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error summarizing capture bundle:', error);
+    res.status(500).json({
+      error: 'Failed to summarize capture bundle',
+      message: error.message
+    });
+  }
+});
+
+// Seat map of a saved capture bundle: sections, rows and seats in display order, with coordinates and adjacency
+app.post('/parse/seatmap', requireScope('scrape'), (req, res) => {
+  try {
+    res.json(buildSeatMap(normalizeCaptureBundle(req.body)));
+  } catch (error) {
+    if (error instanceof CaptureBundleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error building seat map:', error);
+    res.status(500).json({
+      error: 'Failed to build seat map',
+      message: error.message
+    });
+  }
+});
+
+// Checkout estimate: full order total for a quantity of seats from a capture bundle
+app.post('/checkout/estimate', requireScope('scrape'), (req, res) => {
+  try {
+    const bundle = normalizeCaptureBundle(req.body);
+    const { listing, section, row, priceLevelId, quantity, includeAccessible, includeRestrictedView, includeResale } = req.body;
+    res.json(estimateCheckout(bundle, {
+      listing, section, row, priceLevelId, quantity, includeAccessible, includeRestrictedView, includeResale
+    }));
+  } catch (error) {
+    if (error instanceof CaptureBundleError || error instanceof CheckoutEstimateError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error estimating checkout:', error);
+    res.status(500).json({
+      error: 'Failed to estimate checkout',
+      message: error.message
     });
   }
 });
@@ -76,8 +1011,37 @@ app.use((err, req, res, next) => {
   });
 });
 
+// A bad CAPTURE_TARGETS would otherwise only fail inside each scrape, after its browser session is open
+try {
+  resolveCaptureTargets();
+} catch (error) {
+  console.error(`Invalid CAPTURE_TARGETS: ${error.message}`);
+  process.exit(1);
+}
+
+// Likewise a default browser provider without its settings would fail every scrape that doesn't pick another one
+try {
+  normalizeRequestBrowserOptions();
+} catch (error) {
+  console.error(`Invalid browser configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  
+  if (isPersistenceEnabled()) {
+    resumePendingDeliveries()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Resumed ${count} pending webhook deliveries`);
+        }
+      })
+      .catch(error => console.error('Error resuming webhook deliveries:', error.message));
+
+    startDueJobPoller([watchJobs, scheduleJobs]);
+    console.log('Watch and scrape schedulers started');
+  }
 }); 
\ No newline at end of file
@@ -0,0 +1,294 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto'
+import { getPrisma, isPersistenceEnabled } from './db.js'
+
+// scrape: run and parse scrapes; history: read stored events and runs;
+// watches: manage watches and schedules; admin: manage keys and read usage
+const SCOPES = ['scrape', 'history', 'watches', 'admin']
+const KEY_PREFIX_LENGTH = 12
+
+class ApiKeyValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyValidationError';
+  }
+}
+
+// Keys are long random strings, so a plain sha256 is enough to make a stolen database useless
+const hashKey = (key) => createHash('sha256').update(key).digest('hex')
+
+// UTC day that usage is accounted against
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10)
+
+// The API_KEY environment variable is the admin key: every scope, no quota and no per-key rate limit
+const ADMIN_CLIENT = {
+  id: null,
+  name: 'admin',
+  scopes: SCOPES,
+  dailyScrapeQuota: null,
+  rateLimitPerMinute: null
+}
+
+function serializeApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes.split(','),
+    dailyScrapeQuota: apiKey.dailyScrapeQuota,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    active: apiKey.active,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey.createdAt
+  }
+}
+
+function parseApiKeyInput(body) {
+  if (!body || typeof body !== 'object') {
+    throw new ApiKeyValidationError('API key must be an object')
+  }
+
+  const { name, scopes, dailyScrapeQuota = null, rateLimitPerMinute = null } = body
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ApiKeyValidationError('name is required')
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyValidationError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`)
+  }
+  for (const scope of scopes) {
+    if (!SCOPES.includes(scope)) {
+      throw new ApiKeyValidationError(`Unknown scope: ${scope}`)
+    }
+  }
+
+  if (dailyScrapeQuota !== null && (!Number.isInteger(dailyScrapeQuota) || dailyScrapeQuota < 0)) {
+    throw new ApiKeyValidationError('dailyScrapeQuota must be a non-negative integer or null')
+  }
+
+  if (rateLimitPerMinute !== null && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1)) {
+    throw new ApiKeyValidationError('rateLimitPerMinute must be a positive integer or null')
+  }
+
+  return {
+    name: name.trim(),
+    scopes: [...new Set(scopes)].join(','),
+    dailyScrapeQuota,
+    rateLimitPerMinute
+  }
+}
+
+/**
+ * @param {Object} body { name, scopes, dailyScrapeQuota, rateLimitPerMinute }
+ * @returns {Promise<Object>} Created key, including the key itself (it cannot be retrieved later)
+ */
+async function createApiKey(body) {
+  const data = parseApiKeyInput(body)
+  const key = `axs_${randomBytes(24).toString('hex')}`
+
+  const apiKey = await getPrisma().apiKey.create({
+    data: { ...data, keyHash: hashKey(key), keyPrefix: key.slice(0, KEY_PREFIX_LENGTH) }
+  })
+  return { ...serializeApiKey(apiKey), key }
+}
+
+async function listApiKeys() {
+  const apiKeys = await getPrisma().apiKey.findMany({ orderBy: { createdAt: 'desc' } })
+  return apiKeys.map(serializeApiKey)
+}
+
+/**
+ * Deactivate a key. Its usage history is kept.
+ * @param {number} id API key ID
+ * @returns {Promise<Object|null>} Revoked key, or null if unknown
+ */
+async function revokeApiKey(id) {
+  const db = getPrisma()
+  if (!await db.apiKey.findUnique({ where: { id } })) {
+    return null
+  }
+  const apiKey = await db.apiKey.update({ where: { id }, data: { active: false } })
+  return serializeApiKey(apiKey)
+}
+
+/**
+ * Resolve the client behind an X-API-Key header
+ * @param {string} key Key from the request
+ * @returns {Promise<Object|null>} { id, name, scopes, dailyScrapeQuota, rateLimitPerMinute }, or null if the key is unknown or revoked
+ */
+async function resolveClient(key) {
+  const keyHash = hashKey(key)
+
+  if (process.env.API_KEY) {
+    const adminHash = Buffer.from(hashKey(process.env.API_KEY), 'hex')
+    if (timingSafeEqual(Buffer.from(keyHash, 'hex'), adminHash)) {
+      return ADMIN_CLIENT
+    }
+  }
+
+  if (!isPersistenceEnabled()) {
+    return null
+  }
+
+  const apiKey = await getPrisma().apiKey.findUnique({ where: { keyHash } })
+  return apiKey && apiKey.active ? toClient(apiKey) : null
+}
+
+function toClient(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes.split(','),
+    dailyScrapeQuota: apiKey.dailyScrapeQuota,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute
+  }
+}
+
+/**
+ * Count requests and scrapes against a key for today. The admin key is not accounted.
+ * @param {Object} client Client from resolveClient
+ * @param {Object} usage { requests, scrapes } to add
+ */
+async function recordUsage(client, { requests = 0, scrapes = 0 }) {
+  if (client.id === null) {
+    return
+  }
+
+  // One nested write, so the day's counters and lastUsedAt are updated together
+  const day = usageDay()
+  await getPrisma().apiKey.update({
+    where: { id: client.id },
+    data: {
+      ...(requests > 0 ? { lastUsedAt: new Date() } : {}),
+      usage: {
+        upsert: {
+          where: { apiKeyId_day: { apiKeyId: client.id, day } },
+          create: { day, requests, scrapes },
+          update: { requests: { increment: requests }, scrapes: { increment: scrapes } }
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Check whether a client may start more scrapes today, and count them if so.
+ * The check and the increment are a single conditional update, so concurrent requests can't overrun the quota.
+ * @param {Object} client Client from resolveClient
+ * @param {number} count Number of scrapes about to start
+ * @returns {Promise<Object>} { allowed, used, quota, day }, day being the UTC day the scrapes were counted against
+ */
+async function consumeScrapeQuota(client, count) {
+  const day = usageDay()
+  if (client.id === null) {
+    return { allowed: true, used: null, quota: null, day }
+  }
+  if (client.dailyScrapeQuota === null) {
+    await recordUsage(client, { scrapes: count })
+    return { allowed: true, used: null, quota: null, day }
+  }
+
+  const db = getPrisma()
+  const where = { apiKeyId_day: { apiKeyId: client.id, day } }
+
+  await db.apiKeyUsage.upsert({ where, create: { apiKeyId: client.id, day }, update: {} })
+  const { count: updated } = await db.apiKeyUsage.updateMany({
+    where: { apiKeyId: client.id, day, scrapes: { lte: client.dailyScrapeQuota - count } },
+    data: { scrapes: { increment: count } }
+  })
+  const usage = await db.apiKeyUsage.findUnique({ where })
+
+  return { allowed: updated > 0, used: usage.scrapes, quota: client.dailyScrapeQuota, day }
+}
+
+/**
+ * Give back scrapes that were counted by consumeScrapeQuota but never started
+ * @param {Object} client Client from resolveClient
+ * @param {number} count Number of scrapes to give back
+ * @param {string} day UTC day they were counted against, from consumeScrapeQuota
+ */
+async function refundScrapeQuota(client, count, day) {
+  if (client.id === null || count <= 0) {
+    return
+  }
+  await getPrisma().apiKeyUsage.updateMany({
+    where: { apiKeyId: client.id, day, scrapes: { gte: count } },
+    data: { scrapes: { decrement: count } }
+  })
+}
+
+/**
+ * Charge one scrape started by a watch or schedule to the key that owns it
+ * @param {number|null} apiKeyId Owning key, null for rows created with the admin key (never charged)
+ * @returns {Promise<boolean>} Whether the scrape may run; false once the key is revoked or out of quota
+ */
+async function chargeScheduledScrape(apiKeyId) {
+  if (apiKeyId === null) {
+    return true
+  }
+  const apiKey = await getPrisma().apiKey.findUnique({ where: { id: apiKeyId } })
+  if (!apiKey || !apiKey.active) {
+    return false
+  }
+  const { allowed } = await consumeScrapeQuota(toClient(apiKey), 1)
+  return allowed
+}
+
+/**
+ * Prisma filter limiting watches and schedules (and in-memory jobs) to the ones a client owns. The admin key sees every row.
+ * @param {Object} client Client from resolveClient
+ * @returns {Object} Prisma `where` filter: {} for the admin key, { apiKeyId } otherwise
+ */
+function ownedBy(client) {
+  return client.id === null ? {} : { apiKeyId: client.id }
+}
+
+/**
+ * Requests and scrapes per key and day
+ * @param {Object} [options]
+ * @param {string} [options.since] First day to include ("YYYY-MM-DD"), defaults to 30 days ago
+ * @param {string} [options.until] Last day to include ("YYYY-MM-DD"), defaults to today
+ * @returns {Promise<Object>} { since, until, keys: [{ id, name, keyPrefix, requests, scrapes, days }] }
+ */
+async function getUsageReport({ since, until } = {}) {
+  since = since || usageDay(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000))
+  until = until || usageDay()
+
+  const apiKeys = await getPrisma().apiKey.findMany({
+    orderBy: { createdAt: 'asc' },
+    include: {
+      usage: {
+        where: { day: { gte: since, lte: until } },
+        orderBy: { day: 'asc' }
+      }
+    }
+  })
+
+  const keys = apiKeys.map(apiKey => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    active: apiKey.active,
+    dailyScrapeQuota: apiKey.dailyScrapeQuota,
+    requests: apiKey.usage.reduce((total, day) => total + day.requests, 0),
+    scrapes: apiKey.usage.reduce((total, day) => total + day.scrapes, 0),
+    days: apiKey.usage.map(day => ({ day: day.day, requests: day.requests, scrapes: day.scrapes }))
+  }))
+
+  return { since, until, keys }
+}
+
+export {
+  SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveClient,
+  recordUsage,
+  consumeScrapeQuota,
+  refundScrapeQuota,
+  chargeScheduledScrape,
+  ownedBy,
+  getUsageReport,
+  ApiKeyValidationError
+}
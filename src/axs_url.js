@@ -0,0 +1,108 @@
+// Hosts scrapes may target. AXS_EXTRA_HOSTS adds more (comma-separated host[:port]), e.g. "localhost:4100" for the mock server
+const AXS_HOSTS = [
+  'axs.com',
+  'www.axs.com',
+  'tix.axs.com',
+  'axs.co.uk',
+  'www.axs.co.uk',
+  'tix.axs.co.uk'
+]
+
+// Tracking and campaign parameters that don't change which event or offer is shown
+const NOISE_PARAMS = [
+  'tags', 'cpch', 'cpdate', 'cprid', 'cpid', 'cpcn', 'cpdid', 'cpdn', 'cpsrc', 'intoff', 'cid',
+  'aff', 'clickref', 'originalReferringURL', 'mkt_campaign', 'fbclid', 'gclid'
+]
+
+class AxsUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AxsUrlError';
+  }
+}
+
+const extraHosts = () => (process.env.AXS_EXTRA_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean)
+
+const isNoiseParam = (name) => name.startsWith('utm_') || NOISE_PARAMS.includes(name)
+
+/**
+ * Parse and validate an AXS event URL.
+ * Only https URLs on known AXS hosts are accepted (plus AXS_EXTRA_HOSTS, over http or https).
+ * @param {string} input URL as given by the client
+ * @returns {Object} { url, canonicalUrl, host, eventId, params }
+ *   eventId comes from the e parameter (tix URLs) or the /events/<id>/ path (www URLs), and is null when neither is present.
+ *   params holds the meaningful query parameters; canonicalUrl is the URL with only those, sorted.
+ */
+function parseAxsUrl(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new AxsUrlError('URL is required')
+  }
+
+  let parsed
+  try {
+    parsed = new URL(input.trim())
+  } catch (error) {
+    throw new AxsUrlError('URL is not valid')
+  }
+
+  const host = parsed.host.toLowerCase()
+  const hostname = parsed.hostname.toLowerCase()
+  const isExtraHost = extraHosts().includes(host)
+
+  if (!isExtraHost && !AXS_HOSTS.includes(hostname)) {
+    throw new AxsUrlError(`Only AXS URLs are supported (${AXS_HOSTS.join(', ')})`)
+  }
+  if (isExtraHost ? !['http:', 'https:'].includes(parsed.protocol) : parsed.protocol !== 'https:') {
+    throw new AxsUrlError('Only https AXS URLs are supported')
+  }
+  if (parsed.username || parsed.password) {
+    throw new AxsUrlError('URL must not contain credentials')
+  }
+
+  const params = {}
+  for (const [name, value] of parsed.searchParams) {
+    if (value !== '' && !isNoiseParam(name)) {
+      params[name] = value
+    }
+  }
+
+  let eventId = params.e || null
+  if (!eventId) {
+    const pathMatch = parsed.pathname.match(/\/events\/(\d+)(\/|$)/)
+    eventId = pathMatch ? pathMatch[1] : null
+  }
+
+  const canonical = new URL(parsed.origin + parsed.pathname)
+  for (const name of Object.keys(params).sort()) {
+    canonical.searchParams.set(name, params[name])
+  }
+
+  return {
+    url: input,
+    canonicalUrl: canonical.toString(),
+    host,
+    eventId,
+    params
+  }
+}
+
+/**
+ * @param {string} url URL to check
+ * @returns {string|null} Error message for an unusable scrape URL, or null if it is fine
+ */
+function validateAxsUrl(url) {
+  try {
+    parseAxsUrl(url)
+    return null
+  } catch (error) {
+    if (error instanceof AxsUrlError) {
+      return error.message
+    }
+    throw error
+  }
+}
+
+export { parseAxsUrl, validateAxsUrl, AxsUrlError, AXS_HOSTS }
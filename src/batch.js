@@ -0,0 +1,77 @@
+import { runScrape } from './runner.js'
+import { SINGLE_ATTEMPT } from './retry.js'
+import { sessionQueue } from './session_queue.js'
+import { serializeError } from './error_codes.js'
+import { parseAxsUrl } from './axs_url.js'
+
+// Upper bound on URLs per batch request
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS || '', 10) || 50;
+
+/**
+ * Scrape several events through the shared session queue, reporting each result as soon as it finishes.
+ * A failing URL is reported with its error class and never stops the rest of the batch.
+ * Entries are handed to the queue no faster than sessions can run them, so a large batch never times out
+ * waiting on its own entries; an entry's queue timeout only covers waiting behind other scrapes.
+ * @param {Array} entries { url, queueTimeoutMs, parseOptions, browserOptions, retry } per URL; entries without retry
+ *   options get a single attempt, so a large batch doesn't multiply its browser sessions unasked
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Cancels every scrape still queued or running
+ * @param {Function} [options.onResult] Receives { index, url, eventId, status, event, capturedAt, tickets, sections, runId, changes, attempts } or { index, url, eventId, status, error }
+ * @returns {Promise<Object>} { total, succeeded, failed, started }; started counts the entries that got a session,
+ *   the rest were cancelled or timed out while queued
+ */
+async function runBatch(entries, { signal, onResult } = {}) {
+  let succeeded = 0
+  let failed = 0
+  let started = 0
+
+  const report = (result) => {
+    if (!onResult) {
+      return
+    }
+    try {
+      onResult(result)
+    } catch (callbackError) {
+      console.error('Error in batch result callback:', callbackError)
+    }
+  }
+
+  const runEntry = async (entry, index) => {
+    const { eventId } = parseAxsUrl(entry.url)
+    try {
+      const { event, capturedAt, tickets, sections, runId, changes, attempts } = await runScrape(entry.url, {
+        signal,
+        // 0 is reported once, when the entry's session starts
+        onQueuePosition: position => {
+          if (position === 0) {
+            started++
+          }
+        },
+        queueTimeoutMs: entry.queueTimeoutMs,
+        parseOptions: entry.parseOptions,
+        browserOptions: entry.browserOptions,
+        retry: entry.retry || SINGLE_ATTEMPT
+      })
+      succeeded++
+      report({ index, url: entry.url, eventId, status: 'success', event, capturedAt, tickets, sections, runId, changes, attempts })
+    } catch (error) {
+      failed++
+      console.error(`Batch scrape failed for ${entry.url}:`, error.message)
+      report({ index, url: entry.url, eventId, status: 'failed', error: serializeError(error) })
+    }
+  }
+
+  // One worker per session slot, each taking the next entry once its previous one is done
+  let nextIndex = 0
+  const workers = Math.min(sessionQueue.stats().maxConcurrent, entries.length)
+  await Promise.all(Array.from({ length: workers }, async () => {
+    while (nextIndex < entries.length) {
+      const index = nextIndex++
+      await runEntry(entries[index], index)
+    }
+  }))
+
+  return { total: entries.length, succeeded, failed, started }
+}
+
+export { runBatch, BATCH_MAX_URLS }
@@ -0,0 +1,139 @@
+import puppeteer from "puppeteer-core"
+import { randomUUID } from "crypto"
+
+const DEFAULT_PROVIDER = process.env.BROWSER_PROVIDER || "scrapeless"
+const DEFAULT_PROXY_COUNTRY = process.env.PROXY_COUNTRY || "US"
+
+class BrowserProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BrowserProviderError';
+  }
+}
+
+/**
+ * Browser providers. Each one opens a puppeteer Browser for a single scrape session.
+ * Only Scrapeless emits the Captcha.* CDP events; with the others the captcha wait relies on the pre-flow request.
+ */
+const BROWSER_PROVIDERS = {
+  // Scrapeless hosted browser, proxied through proxyCountry
+  scrapeless: {
+    supportsProxyCountry: true,
+    isConfigured: () => Boolean(process.env.SCRAPELESS_TOKEN),
+    connect: ({ proxyCountry }) => {
+      if (!process.env.SCRAPELESS_TOKEN) {
+        throw new BrowserProviderError("SCRAPELESS_TOKEN is not configured")
+      }
+      const query = new URLSearchParams({
+        token: process.env.SCRAPELESS_TOKEN,
+        proxy_country: proxyCountry,
+        session_recording: false,
+        session_ttl: 900,
+        session_name: randomUUID(), // Generate unique session name for each request
+      })
+
+      return puppeteer.connect({
+        browserWSEndpoint: `wss://browser.scrapeless.com/browser?${query.toString()}`,
+        defaultViewport: null,
+      })
+    }
+  },
+
+  // Any browser exposing a CDP websocket (browserless, a remote Chrome with --remote-debugging-port, ...)
+  cdp: {
+    supportsProxyCountry: false,
+    isConfigured: () => Boolean(process.env.CDP_BROWSER_WS_ENDPOINT),
+    connect: () => {
+      if (!process.env.CDP_BROWSER_WS_ENDPOINT) {
+        throw new BrowserProviderError("CDP_BROWSER_WS_ENDPOINT is not configured")
+      }
+      return puppeteer.connect({
+        browserWSEndpoint: process.env.CDP_BROWSER_WS_ENDPOINT,
+        defaultViewport: null,
+      })
+    }
+  },
+
+  // Chromium launched on this machine, for development and testing
+  local: {
+    supportsProxyCountry: false,
+    isConfigured: () => Boolean(process.env.CHROME_EXECUTABLE_PATH),
+    connect: () => {
+      if (!process.env.CHROME_EXECUTABLE_PATH) {
+        throw new BrowserProviderError("CHROME_EXECUTABLE_PATH is not configured")
+      }
+      // e.g. LOCAL_BROWSER_ARGS="--no-sandbox" when running as root in CI
+      const args = (process.env.LOCAL_BROWSER_ARGS || '').split(' ').filter(Boolean)
+      if (process.env.LOCAL_BROWSER_PROXY) {
+        args.push(`--proxy-server=${process.env.LOCAL_BROWSER_PROXY}`)
+      }
+      return puppeteer.launch({
+        executablePath: process.env.CHROME_EXECUTABLE_PATH,
+        headless: process.env.LOCAL_BROWSER_HEADLESS === "false" ? false : "new",
+        defaultViewport: null,
+        args
+      })
+    }
+  }
+}
+
+/**
+ * Validate per-request browser options and fill in the configured defaults
+ * @param {Object} [options]
+ * @param {string} [options.provider] "scrapeless", "cdp" or "local" (defaults to BROWSER_PROVIDER)
+ * @param {string} [options.proxyCountry] Two-letter proxy country, Scrapeless only (defaults to PROXY_COUNTRY)
+ * @returns {Object} { provider, proxyCountry }
+ */
+function normalizeBrowserOptions(options = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new BrowserProviderError("Browser options must be an object")
+  }
+
+  for (const key in options) {
+    if (!['provider', 'proxyCountry'].includes(key)) {
+      throw new BrowserProviderError(`Unknown browser option: ${key}`)
+    }
+  }
+
+  const provider = options.provider === undefined ? DEFAULT_PROVIDER : options.provider
+  if (!Object.prototype.hasOwnProperty.call(BROWSER_PROVIDERS, provider)) {
+    throw new BrowserProviderError(`Unknown browser provider: ${provider} (expected one of ${Object.keys(BROWSER_PROVIDERS).join(', ')})`)
+  }
+
+  const proxyCountry = options.proxyCountry === undefined ? DEFAULT_PROXY_COUNTRY : options.proxyCountry
+  if (typeof proxyCountry !== 'string' || !/^[A-Za-z]{2}$/.test(proxyCountry)) {
+    throw new BrowserProviderError("proxyCountry must be a two-letter country code")
+  }
+  if (options.proxyCountry !== undefined && !BROWSER_PROVIDERS[provider].supportsProxyCountry) {
+    throw new BrowserProviderError(`The ${provider} browser provider does not support proxyCountry`)
+  }
+
+  return { provider, proxyCountry: proxyCountry.toUpperCase() }
+}
+
+/**
+ * Validate browser options picked per request: the provider must also be configured on this server, so the request
+ * is refused up front instead of failing (and being retried) once it reaches a browser session
+ * @param {Object} [options] Browser options, see normalizeBrowserOptions
+ * @returns {Object} { provider, proxyCountry }
+ */
+function normalizeRequestBrowserOptions(options) {
+  const normalized = normalizeBrowserOptions(options)
+  if (!BROWSER_PROVIDERS[normalized.provider].isConfigured()) {
+    throw new BrowserProviderError(`The ${normalized.provider} browser provider is not configured on this server`)
+  }
+  return normalized
+}
+
+/**
+ * Open a browser through the selected provider
+ * @param {Object} [options] Browser options, see normalizeBrowserOptions
+ * @returns {Promise<Browser>} puppeteer Browser
+ */
+async function openBrowser(options) {
+  const { provider, proxyCountry } = normalizeBrowserOptions(options)
+  console.log(`Connecting to browser (${provider}${BROWSER_PROVIDERS[provider].supportsProxyCountry ? `, proxy ${proxyCountry}` : ''})...`)
+  return BROWSER_PROVIDERS[provider].connect({ proxyCountry })
+}
+
+export { openBrowser, normalizeBrowserOptions, normalizeRequestBrowserOptions, BrowserProviderError, BROWSER_PROVIDERS }
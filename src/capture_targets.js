@@ -0,0 +1,182 @@
+/**
+ * Responses scrapeAxsTickets collects from the event page.
+ * Each target has a name (its key in the capture result), a glob matched against the URL path or a regex
+ * matched against the full URL, and whether the scrape waits for it. Optional targets are kept when they
+ * arrive before the required ones and are null otherwise.
+ *
+ * Globs: * matches within one path segment, ** across segments, ? a single character.
+ */
+
+import path from 'path'
+
+// Directory the scraper writes its debug copies of the captures (and the parsed tickets) to
+const CAPTURE_DEBUG_DIR = process.env.CAPTURE_DEBUG_DIR || 'captures'
+
+// parseAXSTickets needs the three inventory responses, so they are always captured and always required.
+// The pre-flow response is kept when it arrives, as a fallback source of event metadata.
+const CAPTURE_TARGETS = [
+  { name: 'sections', glob: '**/veritix/inventory/V2/*/sections', required: true },
+  { name: 'offerSearch', glob: '**/veritix/inventory/V2/*/offer/search', required: true },
+  { name: 'price', glob: '**/veritix/inventory/v4/*/price', required: true },
+  { name: 'preFlow', glob: '**/veritix/pre-flow/v2/**', required: false }
+]
+
+// Keys the capture result already uses for other things
+const RESERVED_CAPTURE_NAMES = ['url', 'capturedAt', 'event']
+
+// Debug files the scraper writes next to the captures, which a target must not overwrite
+const RESERVED_CAPTURE_FILENAMES = ['tickets']
+
+class CaptureTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptureTargetError';
+  }
+}
+
+function globToRegExp(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" may also match no directories at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+// Debug file name the capture is saved under (without .json), e.g. offerSearch -> offer_search
+const captureFilename = (name) => name.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)
+
+function compileTarget(target) {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    throw new CaptureTargetError('Capture target must be an object')
+  }
+
+  const { name, glob, regex, required = false } = target
+  if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(name)) {
+    throw new CaptureTargetError('Capture target name must be alphanumeric and start with a letter')
+  }
+  if (RESERVED_CAPTURE_NAMES.includes(name) || RESERVED_CAPTURE_FILENAMES.includes(captureFilename(name))) {
+    throw new CaptureTargetError(`Capture target name ${name} is reserved`)
+  }
+  if ((glob === undefined) === (regex === undefined)) {
+    throw new CaptureTargetError(`Capture target ${name} needs either a glob or a regex`)
+  }
+  if (typeof required !== 'boolean') {
+    throw new CaptureTargetError(`Capture target ${name}: required must be a boolean`)
+  }
+
+  let matcher
+  if (glob !== undefined) {
+    if (typeof glob !== 'string' || glob === '') {
+      throw new CaptureTargetError(`Capture target ${name}: glob must be a non-empty string`)
+    }
+    const pattern = globToRegExp(glob)
+    matcher = (url) => pattern.test(new URL(url).pathname)
+  } else {
+    let pattern = regex
+    if (!(regex instanceof RegExp)) {
+      try {
+        pattern = new RegExp(regex)
+      } catch (error) {
+        throw new CaptureTargetError(`Capture target ${name}: invalid regex: ${error.message}`)
+      }
+    }
+    matcher = (url) => pattern.test(url)
+  }
+
+  return {
+    name,
+    pattern: glob !== undefined ? glob : String(regex),
+    required,
+    filename: captureFilename(name),
+    matches: (url) => {
+      try {
+        return matcher(url)
+      } catch (error) {
+        return false // Not a URL we can parse, so not one we capture
+      }
+    }
+  }
+}
+
+// Extra targets from the CAPTURE_TARGETS environment variable, a JSON array of { name, glob|regex, required }
+function targetsFromEnv() {
+  if (!process.env.CAPTURE_TARGETS) {
+    return []
+  }
+  let targets
+  try {
+    targets = JSON.parse(process.env.CAPTURE_TARGETS)
+  } catch (error) {
+    throw new CaptureTargetError(`CAPTURE_TARGETS is not valid JSON: ${error.message}`)
+  }
+  if (!Array.isArray(targets)) {
+    throw new CaptureTargetError('CAPTURE_TARGETS must be a JSON array')
+  }
+  return targets
+}
+
+/**
+ * Build the target list for a scrape: the built-in targets, then those from CAPTURE_TARGETS, then extraTargets
+ * @param {Array<Object>} [extraTargets] Additional { name, glob, regex, required } targets
+ * @returns {Array<Object>} Compiled targets { name, pattern, required, filename, matches(url) }
+ */
+function resolveCaptureTargets(extraTargets = []) {
+  if (!Array.isArray(extraTargets)) {
+    throw new CaptureTargetError('Capture targets must be an array')
+  }
+
+  const targets = [...CAPTURE_TARGETS, ...targetsFromEnv(), ...extraTargets].map(compileTarget)
+  const names = new Set()
+  for (const target of targets) {
+    if (names.has(target.name)) {
+      throw new CaptureTargetError(`Duplicate capture target: ${target.name}`)
+    }
+    names.add(target.name)
+  }
+  return targets
+}
+
+/**
+ * Path of the debug file a capture is saved to. Names are alphanumeric, so the file always lands inside CAPTURE_DEBUG_DIR.
+ * @param {string} filename Target filename (see compileTarget) or a reserved debug file name
+ * @returns {string}
+ */
+function captureDebugPath(filename) {
+  return path.join(CAPTURE_DEBUG_DIR, `${filename}.json`)
+}
+
+/**
+ * @param {Array<Object>} targets Targets from resolveCaptureTargets
+ * @param {string} url Response URL
+ * @returns {Object|null} First target matching the URL
+ */
+function matchCaptureTarget(targets, url) {
+  return targets.find(target => target.matches(url)) || null
+}
+
+export {
+  CAPTURE_TARGETS,
+  CAPTURE_DEBUG_DIR,
+  RESERVED_CAPTURE_NAMES,
+  resolveCaptureTargets,
+  matchCaptureTarget,
+  globToRegExp,
+  captureDebugPath,
+  CaptureTargetError
+}
@@ -0,0 +1,223 @@
+import {
+  buildPriceLevelsMap,
+  calculateSeatPricing,
+  getConnectionFee,
+  getSeatCategories,
+  isCategoryIncluded,
+  findSeatGroups,
+  centsToDollars
+} from './parse_tickets.js'
+import { buildFeeMap, buildTaxMap, priceOrderFees } from './fee_engine.js'
+
+class CheckoutEstimateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckoutEstimateError';
+  }
+}
+
+/**
+ * Available seats in a section row, optionally limited to one price level
+ * @param {Object} axsResults Object containing offerSearch data
+ * @param {Object} target { section, row, priceLevelId }
+ * @returns {Array} Seats { number, seatId, sectionID, rowID, priceLevelId, categories }
+ */
+function findRowSeats(axsResults, { section, row, priceLevelId }) {
+  const seats = []
+  const offers = (axsResults.offerSearch && axsResults.offerSearch.offers) || []
+
+  for (const offer of offers) {
+    for (const item of offer.items || []) {
+      if (String(item.sectionLabel) !== String(section) || String(item.rowLabel) !== String(row)) {
+        continue
+      }
+      if (priceLevelId && String(item.priceLevelID) !== String(priceLevelId)) {
+        continue
+      }
+
+      seats.push({
+        number: parseInt(item.number),
+        seatId: item.id,
+        sectionID: item.sectionID,
+        rowID: item.rowID,
+        priceLevelId: item.priceLevelID,
+        categories: getSeatCategories(offer, item)
+      })
+    }
+  }
+
+  return seats
+}
+
+/**
+ * Pick the seats to price: the listing's own seats, or the cheapest run of consecutive seats in the row.
+ * Runs are only picked from standard seats and the categories the request opted in to, as in parseAXSTickets.
+ * @returns {Array} Seats sharing one price level
+ */
+function selectSeats(axsResults, target, quantity, priceLevelsMap, feeMap, taxMap, categoryOptions) {
+  const rowSeats = findRowSeats(axsResults, target)
+
+  if (target.seats) {
+    const wanted = String(target.seats).split(',').map(number => parseInt(number))
+    const selected = wanted.map(number => rowSeats.find(seat => seat.number === number)).filter(Boolean)
+    if (selected.length < wanted.length) {
+      throw new CheckoutEstimateError(`Seats ${target.seats} are not all available in section ${target.section} row ${target.row}`)
+    }
+    if (selected.length < quantity) {
+      throw new CheckoutEstimateError(`Listing only has ${selected.length} seats`)
+    }
+    return selected.slice(0, quantity)
+  }
+
+  // Consecutive groups of exactly the requested size, within one price level and category
+  const seatsByLevel = {}
+  for (const seat of rowSeats) {
+    if (!isCategoryIncluded(seat.categories, categoryOptions)) {
+      continue
+    }
+    const key = `${seat.priceLevelId}-${seat.categories.join('+')}`
+    if (!seatsByLevel[key]) {
+      seatsByLevel[key] = []
+    }
+    seatsByLevel[key].push(seat)
+  }
+
+  const groupOptions = {
+    minQuantity: quantity,
+    maxQuantity: quantity,
+    mode: 'all',
+    allowSingles: quantity === 1,
+    splitRuns: true
+  }
+
+  let best = null
+  for (const key in seatsByLevel) {
+    const priceLevelData = priceLevelsMap[seatsByLevel[key][0].priceLevelId]
+    if (!priceLevelData) {
+      continue
+    }
+
+    for (const group of findSeatGroups(seatsByLevel[key], groupOptions)) {
+      const total = group.reduce((sum, seat) => sum + calculateSeatPricing(
+        priceLevelData, seat.sectionID, seat.rowID, seat.seatId, feeMap, taxMap
+      ).websiteDisplayPrice, 0)
+
+      if (!best || total < best.total) {
+        best = { group, total }
+      }
+    }
+  }
+
+  if (!best) {
+    throw new CheckoutEstimateError(`No ${quantity} consecutive seats available in section ${target.section} row ${target.row}`)
+  }
+  return best.group
+}
+
+/**
+ * Estimate the checkout total for buying a quantity of seats from one section row.
+ * Applies per-item fees and taxes to every seat, the section connection fee per ticket,
+ * and per-order fees (with their taxes) once.
+ * @param {Object} axsResults Object containing sections, offerSearch and price data
+ * @param {Object} request Request body; a missing body is rejected like an empty one
+ * @param {Object} [request.listing] Parsed listing ({ section, row, seats, priceLevelId }) to buy seats from
+ * @param {string} [request.section] Section label, when no listing is given
+ * @param {string} [request.row] Row label, when no listing is given
+ * @param {string} [request.priceLevelId] Limit the choice of seats to one price level
+ * @param {boolean} [request.includeAccessible] Let the seat choice use accessible seats, when no listing is given
+ * @param {boolean} [request.includeRestrictedView] Let the seat choice use restricted view seats, when no listing is given
+ * @param {boolean} [request.includeResale] Let the seat choice use FLASHSEATS resale seats, when no listing is given
+ * @param {number} request.quantity Number of tickets
+ * @returns {Object} Itemized order estimate in dollars
+ */
+function estimateCheckout(axsResults, request) {
+  const body = request || {}
+  const { listing, quantity } = body
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new CheckoutEstimateError('quantity must be a positive integer')
+  }
+
+  const categoryOptions = {}
+  for (const flag of ['includeAccessible', 'includeRestrictedView', 'includeResale']) {
+    if (body[flag] !== undefined && typeof body[flag] !== 'boolean') {
+      throw new CheckoutEstimateError(`${flag} must be a boolean`)
+    }
+    categoryOptions[flag] = body[flag] === true
+  }
+
+  const target = listing
+    ? { section: listing.section, row: listing.row, seats: listing.seats, priceLevelId: listing.priceLevelId }
+    : { section: body.section, row: body.row, priceLevelId: body.priceLevelId }
+
+  if (target.section === undefined || target.row === undefined) {
+    throw new CheckoutEstimateError('Provide a listing, or a section and row')
+  }
+
+  const priceLevelsMap = buildPriceLevelsMap(axsResults)
+  const feeMap = buildFeeMap(axsResults.price)
+  const taxMap = buildTaxMap(axsResults.price)
+
+  const seats = selectSeats(axsResults, target, quantity, priceLevelsMap, feeMap, taxMap, categoryOptions)
+  const priceLevelData = priceLevelsMap[seats[0].priceLevelId]
+  if (!priceLevelData || seats.some(seat => seat.priceLevelId !== seats[0].priceLevelId)) {
+    throw new CheckoutEstimateError('Selected seats must share one priced price level')
+  }
+
+  const connectionFee = getConnectionFee(axsResults, target.section)
+
+  const items = seats.map(seat => {
+    const seatPricing = calculateSeatPricing(priceLevelData, seat.sectionID, seat.rowID, seat.seatId, feeMap, taxMap)
+    return { seat, seatPricing }
+  })
+
+  const sumOf = (field) => items.reduce((total, item) => total + item.seatPricing[field], 0)
+  const faceValue = items.reduce((total, item) => total + item.seatPricing.basePrice + item.seatPricing.facilityFee, 0)
+  const perItemFees = sumOf('totalFees')
+  const perItemTax = sumOf('totalTax')
+  const connectionFees = connectionFee * quantity
+
+  const orderFees = priceOrderFees({
+    offerFees: priceLevelData.offerFees,
+    feeMap,
+    taxMap,
+    subtotal: faceValue
+  })
+
+  const total = faceValue + perItemFees + perItemTax + connectionFees + orderFees.totalFees + orderFees.totalTax
+
+  return {
+    section: target.section,
+    row: target.row,
+    priceLevelId: priceLevelData.priceLevelID,
+    quantity,
+    seats: seats.map(seat => seat.number).join(','),
+    items: items.map(({ seat, seatPricing }) => ({
+      seatId: seat.seatId,
+      number: seat.number,
+      faceValue: centsToDollars(seatPricing.basePrice + seatPricing.facilityFee),
+      fees: centsToDollars(seatPricing.totalFees),
+      tax: centsToDollars(seatPricing.totalTax),
+      connectionFee: centsToDollars(connectionFee),
+      total: centsToDollars(seatPricing.websiteDisplayPrice + connectionFee),
+      isDynamicPricing: seatPricing.isDynamicPricing
+    })),
+    faceValue: centsToDollars(faceValue),
+    perItemFees: centsToDollars(perItemFees),
+    perItemTax: centsToDollars(perItemTax),
+    connectionFees: centsToDollars(connectionFees),
+    orderFees: centsToDollars(orderFees.totalFees),
+    orderTax: centsToDollars(orderFees.totalTax),
+    orderFeeLines: orderFees.lines.map(line => {
+      const dollarLine = { ...line, amount: centsToDollars(line.amount) }
+      if (line.type === 'tax') {
+        dollarLine.taxableAmount = centsToDollars(line.taxableAmount)
+      }
+      return dollarLine
+    }),
+    total: centsToDollars(total),
+    perTicket: centsToDollars(total / quantity)
+  }
+}
+
+export { estimateCheckout, CheckoutEstimateError }
@@ -0,0 +1,294 @@
+import prismaClient from '@prisma/client'
+import { parseAxsUrl } from './axs_url.js'
+
+// @prisma/client is CommonJS, so named exports are read off the default import
+const { PrismaClient } = prismaClient
+
+let prisma = null
+
+/**
+ * Persistence is enabled when DATABASE_URL is configured.
+ * @returns {boolean}
+ */
+function isPersistenceEnabled() {
+  return Boolean(process.env.DATABASE_URL)
+}
+
+/**
+ * Lazily created Prisma client shared by the process
+ * @returns {PrismaClient}
+ */
+function getPrisma() {
+  if (!prisma) {
+    prisma = new PrismaClient()
+  }
+  return prisma
+}
+
+/**
+ * Convert a stored listing back into the ticket shape returned by parseAXSTickets
+ * @param {Object} listing Listing row
+ * @returns {Object} Ticket object
+ */
+function listingToTicket(listing) {
+  return {
+    section: listing.section,
+    row: listing.row,
+    seats: listing.seats,
+    quantity: listing.quantity,
+    face_price: listing.facePrice,
+    taxed_cost: listing.taxedCost,
+    cost: listing.cost,
+    isDynamicPricing: listing.isDynamicPricing,
+    connection_fee: listing.connectionFee,
+    category: listing.category,
+    offerType: listing.offerType
+  }
+}
+
+function ticketToListing(ticket) {
+  return {
+    section: String(ticket.section),
+    row: String(ticket.row),
+    seats: String(ticket.seats),
+    quantity: ticket.quantity,
+    facePrice: ticket.face_price,
+    taxedCost: ticket.taxed_cost,
+    cost: ticket.cost,
+    connectionFee: ticket.connection_fee || 0,
+    isDynamicPricing: Boolean(ticket.isDynamicPricing),
+    category: ticket.category || 'standard',
+    offerType: ticket.offerType || null
+  }
+}
+
+function serializeRun(run) {
+  const serialized = {
+    id: run.id,
+    eventId: run.eventId,
+    url: run.url,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    outcome: run.outcome,
+    errorClass: run.errorClass,
+    errorMessage: run.errorMessage,
+    ticketCount: run.ticketCount
+  }
+  if (run.listings) {
+    serialized.tickets = run.listings.map(listingToTicket)
+  }
+  return serialized
+}
+
+/**
+ * Find the stored event for a scrape URL, keyed on the AXS event id when the URL has one
+ * and on the canonical URL otherwise. The event's URL is kept up to date with the latest scrape.
+ * Concurrent scrapes of one event share a single row: the id lookup is an upsert, which Prisma runs as one
+ * INSERT ... ON CONFLICT statement.
+ * @param {string} url Scraped URL
+ * @returns {Promise<Object>} Event row
+ */
+async function findOrCreateEvent(url) {
+  const db = getPrisma()
+  const { canonicalUrl, eventId: axsEventId } = parseAxsUrl(url)
+
+  // URLs without an event id, and events stored before ids were recorded, are matched by canonical URL
+  const byUrl = () => db.event.findFirst({ where: { url: canonicalUrl, axsEventId: null } })
+
+  if (!axsEventId) {
+    return await byUrl() || db.event.create({ data: { url: canonicalUrl } })
+  }
+
+  if (!await db.event.findUnique({ where: { axsEventId } })) {
+    const legacy = await byUrl()
+    if (legacy) {
+      try {
+        await db.event.updateMany({ where: { id: legacy.id, axsEventId: null }, data: { axsEventId } })
+      } catch (error) {
+        // P2002: a concurrent scrape has just created the event under its id, which the upsert below picks up
+        if (error.code !== 'P2002') {
+          throw error
+        }
+      }
+    }
+  }
+
+  return db.event.upsert({
+    where: { axsEventId },
+    create: { url: canonicalUrl, axsEventId },
+    update: { url: canonicalUrl }
+  })
+}
+
+/**
+ * Store the outcome of a scrape, and its tickets when it succeeded.
+ * @param {Object} run
+ * @param {string} run.url Scraped URL
+ * @param {Date} run.startedAt
+ * @param {Date} run.finishedAt
+ * @param {Array} [run.tickets] Parsed tickets (successful runs)
+ * @param {Array} [run.sections] Section summary (successful runs)
+ * @param {Error} [run.error] Error thrown by the scraper (failed runs)
+ * @returns {Promise<Object>} Stored run
+ */
+async function recordScrapeRun({ url, startedAt, finishedAt, tickets, sections, error }) {
+  const db = getPrisma()
+
+  let outcome = 'success'
+  if (error) {
+    outcome = error.name === 'ScrapeCancelledError' ? 'cancelled' : 'failed'
+  }
+
+  const event = await findOrCreateEvent(url)
+
+  // lastScrapedAt only moves forward, since runs of one event can finish out of order
+  const [run] = await db.$transaction([
+    db.scrapeRun.create({
+      data: {
+        eventId: event.id,
+        url,
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        outcome,
+        errorClass: error ? error.name : null,
+        errorMessage: error ? error.message : null,
+        ticketCount: tickets ? tickets.length : 0,
+        sectionSummary: sections || undefined,
+        listings: tickets ? { create: tickets.map(ticketToListing) } : undefined
+      }
+    }),
+    db.event.updateMany({
+      where: { id: event.id, OR: [{ lastScrapedAt: null }, { lastScrapedAt: { lt: startedAt } }] },
+      data: { lastScrapedAt: startedAt }
+    })
+  ])
+
+  return serializeRun(run)
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.axsEventId] Only the event with this AXS event id
+ * @param {number} [options.limit] Maximum number of events
+ * @param {number} [options.cursor] Event ID to continue after, from a previous page's nextCursor
+ * @returns {Promise<Object>} { events, nextCursor }: events with their run count and latest run, most recently
+ *   scraped first (events without runs last, newest first); nextCursor is null on the last page
+ */
+async function listEvents({ axsEventId, limit = 50, cursor } = {}) {
+  const events = await getPrisma().event.findMany({
+    where: axsEventId ? { axsEventId } : undefined,
+    orderBy: [{ lastScrapedAt: { sort: 'desc', nulls: 'last' } }, { id: 'desc' }],
+    // One extra event tells whether there is another page
+    take: limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    include: {
+      _count: { select: { runs: true } },
+      runs: { orderBy: { startedAt: 'desc' }, take: 1 }
+    }
+  })
+
+  const page = events.slice(0, limit)
+  return {
+    events: page.map(event => ({
+      id: event.id,
+      axsEventId: event.axsEventId,
+      url: event.url,
+      createdAt: event.createdAt,
+      runCount: event._count.runs,
+      latestRun: event.runs[0] ? serializeRun(event.runs[0]) : null
+    })),
+    nextCursor: events.length > limit ? page[page.length - 1].id : null
+  }
+}
+
+/**
+ * @param {number} eventId Event ID
+ * @returns {Promise<Object|null>} Event with its latest successful tickets, or null if unknown
+ */
+async function getEvent(eventId) {
+  const db = getPrisma()
+  const event = await db.event.findUnique({ where: { id: eventId } })
+  if (!event) {
+    return null
+  }
+
+  const latestRun = await db.scrapeRun.findFirst({
+    where: { eventId, outcome: 'success' },
+    orderBy: { startedAt: 'desc' },
+    include: { listings: true }
+  })
+
+  return {
+    id: event.id,
+    axsEventId: event.axsEventId,
+    url: event.url,
+    createdAt: event.createdAt,
+    latestRun: latestRun ? serializeRun(latestRun) : null
+  }
+}
+
+/**
+ * @param {number} eventId Event ID
+ * @returns {Promise<Object|null>} Section summary of the event's latest successful run, or null if unknown
+ */
+async function getEventSections(eventId) {
+  const db = getPrisma()
+  const event = await db.event.findUnique({ where: { id: eventId } })
+  if (!event) {
+    return null
+  }
+
+  const latestRun = await db.scrapeRun.findFirst({
+    where: { eventId, outcome: 'success' },
+    orderBy: { startedAt: 'desc' }
+  })
+
+  return {
+    eventId,
+    runId: latestRun ? latestRun.id : null,
+    capturedAt: latestRun ? latestRun.startedAt : null,
+    // Runs stored before section summaries were recorded have none
+    sections: latestRun && latestRun.sectionSummary ? latestRun.sectionSummary : []
+  }
+}
+
+/**
+ * @param {number} eventId Event ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of runs, newest first
+ * @returns {Promise<Array>} Runs without their listings
+ */
+async function listRuns(eventId, { limit = 50 } = {}) {
+  const runs = await getPrisma().scrapeRun.findMany({
+    where: { eventId },
+    orderBy: { startedAt: 'desc' },
+    take: limit
+  })
+  return runs.map(serializeRun)
+}
+
+/**
+ * @param {number} runId Run ID
+ * @returns {Promise<Object|null>} Run with its tickets, or null if unknown
+ */
+async function getRun(runId) {
+  const run = await getPrisma().scrapeRun.findUnique({
+    where: { id: runId },
+    include: { listings: true }
+  })
+  return run ? serializeRun(run) : null
+}
+
+export {
+  getPrisma,
+  listingToTicket,
+  isPersistenceEnabled,
+  recordScrapeRun,
+  listEvents,
+  getEvent,
+  getEventSections,
+  listRuns,
+  getRun
+}
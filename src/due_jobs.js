@@ -0,0 +1,66 @@
+const DUE_JOB_POLL_INTERVAL_MS = parseInt(process.env.DUE_JOB_POLL_INTERVAL_MS || '', 10) || 30 * 1000; // 30 seconds
+
+// Jobs currently running, keyed by "<kind> <id>", so a slow scrape is not started twice
+const inFlight = new Set()
+
+/**
+ * @typedef {Object} DueJobKind
+ * @property {string} name Job kind used in logs, e.g. "Watch"
+ * @property {Function} listDue Resolves to the records that are due now
+ * @property {Function} run Runs one due record
+ */
+
+/**
+ * Start every due job that is not already running, without waiting for them to finish.
+ * @param {Array<DueJobKind>} kinds
+ * @returns {Promise<number>} Number of jobs started
+ */
+async function runDueJobs(kinds) {
+  let started = 0
+
+  for (const kind of kinds) {
+    let due
+    try {
+      due = await kind.listDue(new Date())
+    } catch (error) {
+      console.error(`Error listing due ${kind.name.toLowerCase()} jobs:`, error.message)
+      continue
+    }
+
+    for (const record of due) {
+      const key = `${kind.name} ${record.id}`
+      if (inFlight.has(key)) {
+        continue
+      }
+
+      inFlight.add(key)
+      started++
+      Promise.resolve()
+        .then(() => kind.run(record))
+        .catch(error => {
+          console.error(`${key} failed:`, error.message)
+        })
+        .finally(() => inFlight.delete(key))
+    }
+  }
+
+  return started
+}
+
+/**
+ * Poll for due watches, schedules and any other job kinds on one timer.
+ * @param {Array<DueJobKind>} kinds
+ * @returns {Function} Stops the poller
+ */
+function startDueJobPoller(kinds) {
+  const timer = setInterval(() => {
+    runDueJobs(kinds).catch(error => {
+      console.error('Error checking due jobs:', error.message)
+    })
+  }, DUE_JOB_POLL_INTERVAL_MS)
+  timer.unref()
+
+  return () => clearInterval(timer)
+}
+
+export { runDueJobs, startDueJobPoller }
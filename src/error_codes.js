@@ -0,0 +1,57 @@
+/**
+ * Stable error codes for scrape failures, keyed by error class name.
+ * status is the HTTP status for synchronous requests, retryAfterSeconds a hint for clients (null when there is none).
+ * retryable matches what scrapeWithRetry retries (RETRYABLE_ERRORS in retry.js), plus QueueTimeoutError, which
+ * happens before any session is opened.
+ */
+const ERROR_CODES = {
+  ScraperBlockedError: { status: 429, code: 'SCRAPER_BLOCKED', retryable: true, retryAfterSeconds: 15 * 60 },
+  CaptchaTimeoutError: { status: 503, code: 'CAPTCHA_TIMEOUT', retryable: true, retryAfterSeconds: 60 },
+  BrowserConnectionError: { status: 503, code: 'BROWSER_CONNECTION_FAILED', retryable: true, retryAfterSeconds: 30 },
+  QueueTimeoutError: { status: 503, code: 'QUEUE_TIMEOUT', retryable: true, retryAfterSeconds: 30 },
+  DataCaptureError: { status: 502, code: 'DATA_CAPTURE_FAILED', retryable: false, retryAfterSeconds: null },
+  // The responses were captured but the parser failed on them, so they would fail the same way again
+  TicketParseError: { status: 502, code: 'PARSE_FAILED', retryable: false, retryAfterSeconds: null },
+  // AXS changed a response format; retrying won't help until the schemas and parser are updated
+  SchemaDriftError: { status: 502, code: 'SCHEMA_DRIFT', retryable: false, retryAfterSeconds: null },
+  ScrapeCancelledError: { status: 409, code: 'SCRAPE_CANCELLED', retryable: false, retryAfterSeconds: null },
+  // The server's browser provider is unknown or missing its settings
+  BrowserProviderError: { status: 500, code: 'BROWSER_PROVIDER_NOT_CONFIGURED', retryable: false, retryAfterSeconds: null }
+}
+
+const UNKNOWN_ERROR = { status: 500, code: 'INTERNAL_ERROR', retryable: false, retryAfterSeconds: null }
+
+/**
+ * @param {Error} error Error thrown by a scrape
+ * @returns {Object} { status, code, retryable, retryAfterSeconds }
+ */
+function describeError(error) {
+  return ERROR_CODES[error && error.name] || UNKNOWN_ERROR
+}
+
+/**
+ * Machine-readable error for job results, batch lines and progress events
+ * @param {Error} error Error thrown by a scrape
+ * @returns {Object} { type, code, message, retryable, retryAfterSeconds, attempts, schemaDrift }
+ */
+function serializeError(error) {
+  const { code, retryable, retryAfterSeconds } = describeError(error)
+  const serialized = {
+    type: error.name,
+    code,
+    message: error.message,
+    retryable,
+    retryAfterSeconds
+  }
+  // Attempt log added by scrapeWithRetry
+  if (error.attempts) {
+    serialized.attempts = error.attempts
+  }
+  // Drift report added by assertCaptureSchema
+  if (error.report) {
+    serialized.schemaDrift = error.report
+  }
+  return serialized
+}
+
+export { ERROR_CODES, describeError, serializeError }
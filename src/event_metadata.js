@@ -0,0 +1,180 @@
+import { parseAxsUrl } from './axs_url.js'
+
+// schema.org types an event page's JSON-LD may use (Event, MusicEvent, SportsEvent, TheaterEvent, ...)
+const isEventType = (type) => [].concat(type || []).some(name => typeof name === 'string' && name.endsWith('Event'))
+
+const firstOf = (value) => Array.isArray(value) ? value[0] : value
+
+const text = (value) => typeof value === 'string' && value.trim() !== '' ? value.trim() : null
+
+// Names veritix responses use for event fields, at the top level or under event / venue; the first one present wins
+const VERITIX_FIELDS = {
+  name: ['eventName', 'name', 'title'],
+  startDate: ['eventDateTime', 'startDateTime', 'startDate', 'eventDate'],
+  timezone: ['timezone', 'timeZone', 'ianaTimeZone', 'venueTimeZone'],
+  currency: ['currencyCode', 'currency'],
+  venueName: ['venueName']
+}
+
+/**
+ * Read the raw metadata sources of the loaded event page: JSON-LD blocks, meta tags and the title
+ * @param {Page} page Puppeteer page
+ * @returns {Promise<Object>} { jsonLd: [string], meta: { [name]: content }, title }
+ */
+async function collectPageMetadata(page) {
+  return page.evaluate(() => {
+    const meta = {}
+    for (const element of document.querySelectorAll('meta[property], meta[name]')) {
+      const name = element.getAttribute('property') || element.getAttribute('name')
+      if (!(name in meta)) {
+        meta[name] = element.getAttribute('content')
+      }
+    }
+    return {
+      jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'), script => script.textContent),
+      meta,
+      title: document.title
+    }
+  })
+}
+
+// Every node of every JSON-LD block, including those nested in arrays and @graph
+function jsonLdNodes(blocks) {
+  const nodes = []
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit)
+    } else if (value && typeof value === 'object') {
+      nodes.push(value)
+      if (value['@graph']) {
+        visit(value['@graph'])
+      }
+    }
+  }
+
+  for (const block of blocks || []) {
+    try {
+      visit(JSON.parse(block))
+    } catch (error) {
+      // Pages sometimes ship broken JSON-LD; the other blocks and the meta tags still count
+    }
+  }
+  return nodes
+}
+
+function parseVenue(location) {
+  location = firstOf(location)
+  if (!location || typeof location !== 'object') {
+    return text(location) ? { name: text(location), address: null, city: null, region: null, postalCode: null, country: null } : null
+  }
+
+  const address = firstOf(location.address)
+  const structured = address && typeof address === 'object'
+  const country = structured ? firstOf(address.addressCountry) : null
+
+  return {
+    name: text(location.name),
+    address: structured ? text(address.streetAddress) : text(address),
+    city: structured ? text(address.addressLocality) : null,
+    region: structured ? text(address.addressRegion) : null,
+    postalCode: structured ? text(address.postalCode) : null,
+    country: country && typeof country === 'object' ? text(country.name) : text(country)
+  }
+}
+
+// Event fields from the veritix responses the scraper captured (pre-flow, offer search, price), for pages without metadata
+function veritixEventData(responses) {
+  const sources = []
+  for (const response of responses || []) {
+    if (response && typeof response === 'object' && !Array.isArray(response)) {
+      sources.push(response)
+      if (response.event && typeof response.event === 'object') {
+        sources.push(response.event)
+      }
+    }
+  }
+  const venues = sources.map(source => source.venue).filter(venue => venue && typeof venue === 'object')
+
+  const find = (names, from = sources) => {
+    for (const source of from) {
+      for (const name of names) {
+        if (text(source[name])) {
+          return text(source[name])
+        }
+      }
+    }
+    return null
+  }
+
+  return {
+    name: find(VERITIX_FIELDS.name),
+    startDate: find(VERITIX_FIELDS.startDate),
+    timezone: find(VERITIX_FIELDS.timezone) || find(VERITIX_FIELDS.timezone, venues),
+    currency: find(VERITIX_FIELDS.currency),
+    venue: find(VERITIX_FIELDS.venueName) || find(['name'], venues)
+  }
+}
+
+// IANA time zone names only, e.g. "America/Los_Angeles"; abbreviations such as "PST" are ambiguous
+function ianaTimeZone(name) {
+  if (!name || !(name.includes('/') || name === 'UTC')) {
+    return null
+  }
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone
+  } catch (error) {
+    return null
+  }
+}
+
+// UTC offset of a local ISO date time, e.g. "2025-06-01T19:30:00-07:00" -> "-07:00"
+function utcOffset(dateTime) {
+  const match = typeof dateTime === 'string' && dateTime.match(/T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/)
+  if (!match) {
+    return null
+  }
+  return match[1] === 'Z' ? '+00:00' : match[1].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')
+}
+
+/**
+ * Event details from the page's schema.org Event JSON-LD, falling back to the captured veritix responses,
+ * then to Open Graph tags and the page title
+ * @param {Object} pageData Output of collectPageMetadata
+ * @param {string} url Scraped URL
+ * @param {Array<Object>} [veritixResponses] Captured veritix responses that may describe the event (pre-flow, offer search, price)
+ * @returns {Object} { eventId, name, startDate, endDate, doorTime, utcOffset, timezone, venue, currency, image }
+ *   Dates are as published (local time, usually with a UTC offset); utcOffset is the start date's offset, e.g. "-07:00".
+ *   timezone is an IANA zone such as "America/Los_Angeles" when veritix provides one. Fields nobody provides are null.
+ */
+function buildEventMetadata(pageData = {}, url, veritixResponses = []) {
+  const meta = pageData.meta || {}
+  const veritix = veritixEventData(veritixResponses)
+  const event = jsonLdNodes(pageData.jsonLd).find(node => isEventType(node['@type'])) || {}
+  const offers = [].concat(event.offers || [])
+  const offerWithCurrency = offers.find(offer => offer && text(offer.priceCurrency))
+
+  let eventId = null
+  try {
+    eventId = parseAxsUrl(url).eventId
+  } catch (error) {
+    // Metadata is best effort; an unparseable URL just means no event id
+  }
+
+  const startDate = text(event.startDate) || veritix.startDate
+  return {
+    eventId,
+    name: text(event.name) || veritix.name || text(meta['og:title']) || text(pageData.title),
+    startDate,
+    endDate: text(event.endDate),
+    doorTime: text(event.doorTime),
+    utcOffset: utcOffset(startDate),
+    timezone: ianaTimeZone(veritix.timezone),
+    venue: parseVenue(event.location) || parseVenue(veritix.venue),
+    currency: offerWithCurrency
+      ? offerWithCurrency.priceCurrency.trim()
+      : veritix.currency || text(meta['product:price:currency']),
+    image: text(firstOf(event.image)) || text(meta['og:image'])
+  }
+}
+
+export { collectPageMetadata, buildEventMetadata }
@@ -0,0 +1,266 @@
+/**
+ * Fee and tax engine for veritix price data.
+ *
+ * Amounts are in cents, as in the price response. Lookup ranges are in dollars.
+ * Fees are split by applicationMethod: per-item methods are charged once per seat, per-order methods
+ * once per order. Fees with any other method are left out (and logged once), since guessing could inflate every price.
+ */
+
+// applicationMethod values that are charged once per seat
+const PER_ITEM_METHODS = ['PerItem', 'PerTicket'];
+
+// applicationMethod values that are charged once per order rather than per seat
+const PER_ORDER_METHODS = ['PerOrder', 'PerTransaction'];
+
+// Unknown applicationMethod values already logged, so a new method is reported once rather than for every seat
+const reportedUnknownMethods = new Set();
+
+/**
+ * Map the root-level fees of a price response by id
+ * @param {Object} price Price response
+ * @returns {Object} Map of fee id to fee definition
+ */
+function buildFeeMap(price) {
+  const feeMap = {};
+  if (price && Array.isArray(price.fees)) {
+    for (const fee of price.fees) {
+      feeMap[fee.id] = fee;
+    }
+  }
+  return feeMap;
+}
+
+/**
+ * Map the root-level taxes of a price response by id
+ * @param {Object} price Price response
+ * @returns {Object} Map of tax id to tax definition
+ */
+function buildTaxMap(price) {
+  const taxMap = {};
+  if (price && Array.isArray(price.taxes)) {
+    for (const tax of price.taxes) {
+      taxMap[tax.id] = tax;
+    }
+  }
+  return taxMap;
+}
+
+/**
+ * @param {Object} fee Fee definition
+ * @returns {boolean} Whether the fee is charged once per order
+ */
+function isPerOrderFee(fee) {
+  return PER_ORDER_METHODS.includes(fee.applicationMethod);
+}
+
+/**
+ * @param {Object} fee Fee definition
+ * @returns {boolean} Whether the fee's applicationMethod is one the engine knows how to charge
+ */
+function isKnownFeeMethod(fee) {
+  if (PER_ITEM_METHODS.includes(fee.applicationMethod) || PER_ORDER_METHODS.includes(fee.applicationMethod)) {
+    return true;
+  }
+  if (!reportedUnknownMethods.has(fee.applicationMethod)) {
+    reportedUnknownMethods.add(fee.applicationMethod);
+    console.warn(`⚠️ Skipping fee ${fee.id} with unknown applicationMethod ${JSON.stringify(fee.applicationMethod)}`);
+  }
+  return false;
+}
+
+// Tax map keys are strings, so numeric taxIds are matched as strings too
+function normalizeTaxIds(taxIds) {
+  return Array.isArray(taxIds) ? taxIds.map(String) : [];
+}
+
+/**
+ * Evaluate one fee component against a base amount
+ * @param {Object} component Fee component (Lookup, Percentage or Fixed)
+ * @param {number} baseAmount Amount the fee is calculated on, in cents
+ * @returns {number} Fee amount in cents
+ */
+function evaluateFeeComponent(component, baseAmount) {
+  let amount = 0;
+
+  if (component.calculationMethod === "Lookup" && Array.isArray(component.lookupRanges)) {
+    const baseInDollars = baseAmount / 100; // Lookup ranges are in dollars
+    for (const range of component.lookupRanges) {
+      // Handle the case where end is 0 for the last range (e.g., ">301")
+      if (baseInDollars >= range.start && (range.end === 0 || baseInDollars < range.end)) {
+        amount = range.amount;
+        break;
+      }
+    }
+  } else if (component.calculationMethod === "Percentage" && typeof component.rate === 'number') {
+    amount = (baseAmount * component.rate) / 100;
+    if (typeof component.roundOff === 'number') {
+      amount = Math.round(amount / component.roundOff) * component.roundOff;
+    }
+  } else if (component.calculationMethod === "Fixed" && typeof component.amount === 'number') {
+    amount = component.amount;
+  }
+
+  return amount;
+}
+
+/**
+ * Evaluate the fees assigned to an offer against a base amount
+ * @param {Array} offerFees Fee references from offerPrices[].fees
+ * @param {Object} feeMap Map of fee id to fee definition
+ * @param {number} baseAmount Amount the fees are calculated on, in cents
+ * @param {Object} [options]
+ * @param {boolean} [options.perOrder] Evaluate per-order fees instead of per-item fees
+ * @returns {Array} Fee lines { type, id, name, applicationMethod, calculationMethod, amount, taxIds }
+ */
+function evaluateFees(offerFees, feeMap, baseAmount, { perOrder = false } = {}) {
+  const lines = [];
+  if (!Array.isArray(offerFees)) {
+    return lines;
+  }
+
+  for (const offerAssignedFee of offerFees) {
+    const feeDef = feeMap[offerAssignedFee.id];
+    if (!feeDef || !Array.isArray(feeDef.components) || !isKnownFeeMethod(feeDef) || isPerOrderFee(feeDef) !== perOrder) {
+      continue;
+    }
+
+    for (const component of feeDef.components) {
+      lines.push({
+        type: 'fee',
+        id: feeDef.id,
+        name: component.name || feeDef.name || feeDef.id,
+        applicationMethod: feeDef.applicationMethod,
+        calculationMethod: component.calculationMethod,
+        amount: evaluateFeeComponent(component, baseAmount),
+        taxIds: normalizeTaxIds(component.taxIds)
+      });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Apply every tax in the tax map to the lines tagged with its id
+ * @param {Array} lines Component and fee lines
+ * @param {Object} taxMap Map of tax id to tax definition
+ * @returns {Array} Tax lines { type, id, name, rate, taxableAmount, amount }
+ */
+function evaluateTaxes(lines, taxMap) {
+  const taxLines = [];
+
+  for (const taxId in taxMap) {
+    const tax = taxMap[taxId];
+    const taxableAmount = lines
+      .filter(line => line.taxIds.includes(taxId))
+      .reduce((total, line) => total + line.amount, 0);
+
+    if (taxableAmount === 0) {
+      continue;
+    }
+
+    let amount = 0;
+    if (typeof tax.rate === 'number') {
+      amount = (taxableAmount * tax.rate) / 100;
+    } else if (typeof tax.amount === 'number') {
+      amount = tax.amount;
+    }
+
+    taxLines.push({
+      type: 'tax',
+      id: taxId,
+      name: tax.name || tax.code || taxId,
+      rate: typeof tax.rate === 'number' ? tax.rate : null,
+      taxableAmount,
+      amount
+    });
+  }
+
+  return taxLines;
+}
+
+const sumLines = (lines) => lines.reduce((total, line) => total + line.amount, 0);
+
+/**
+ * Price a single seat. Lookup and Percentage fees are evaluated against the seat's actual base amount,
+ * so a dynamic price changes the fees and taxes as well as the base.
+ * @param {Object} params
+ * @param {Array} params.priceComponents priceComponents of the seat's price entry
+ * @param {number} params.baseAmount Price entry base in cents (Base Component + VEN_FacFee)
+ * @param {number|null} [params.dynamicPrice] Seat's dynamic price in cents, replacing the base amount
+ * @param {Array} params.offerFees Fee references from offerPrices[].fees
+ * @param {Object} params.feeMap Map of fee id to fee definition
+ * @param {Object} params.taxMap Map of tax id to tax definition
+ * @returns {Object} { baseAmount, baseComponent, facilityFee, totalFees, totalTax, total, lines, orderFees }
+ */
+function priceItem({ priceComponents, baseAmount, dynamicPrice = null, offerFees, feeMap, taxMap }) {
+  const components = Array.isArray(priceComponents) ? priceComponents : [];
+  const facilityFee = components
+    .filter(comp => comp.name === "VEN_FacFee")
+    .reduce((total, comp) => total + comp.amount, 0);
+
+  // A dynamic price replaces Base Component + VEN_FacFee, so the base component is what remains after the facility fee
+  if (dynamicPrice !== null) {
+    baseAmount = dynamicPrice;
+  }
+  const componentLines = components.map(comp => ({
+    type: 'component',
+    id: comp.id || comp.name,
+    name: comp.name,
+    amount: comp.name === "Base Component" && dynamicPrice !== null ? dynamicPrice - facilityFee : comp.amount,
+    taxIds: normalizeTaxIds(comp.taxIds)
+  }));
+  const baseComponent = componentLines
+    .filter(line => line.name === "Base Component")
+    .reduce((total, line) => total + line.amount, 0);
+
+  const feeLines = evaluateFees(offerFees, feeMap, baseAmount);
+  const taxLines = evaluateTaxes([...componentLines, ...feeLines], taxMap);
+
+  const totalFees = sumLines(feeLines);
+  const totalTax = sumLines(taxLines);
+
+  return {
+    baseAmount,
+    baseComponent,
+    facilityFee,
+    totalFees,
+    totalTax,
+    total: baseAmount + totalFees + totalTax,
+    lines: [...componentLines, ...feeLines, ...taxLines],
+    orderFees: evaluateFees(offerFees, feeMap, baseAmount, { perOrder: true })
+  };
+}
+
+/**
+ * Per-order fees and their taxes for an order, evaluated against the order subtotal
+ * @param {Object} params
+ * @param {Array} params.offerFees Fee references from offerPrices[].fees
+ * @param {Object} params.feeMap Map of fee id to fee definition
+ * @param {Object} params.taxMap Map of tax id to tax definition
+ * @param {number} params.subtotal Sum of the seat base amounts in the order, in cents
+ * @returns {Object} { totalFees, totalTax, lines }
+ */
+function priceOrderFees({ offerFees, feeMap, taxMap, subtotal }) {
+  const feeLines = evaluateFees(offerFees, feeMap, subtotal, { perOrder: true });
+  const taxLines = evaluateTaxes(feeLines, taxMap);
+
+  return {
+    totalFees: sumLines(feeLines),
+    totalTax: sumLines(taxLines),
+    lines: [...feeLines, ...taxLines]
+  };
+}
+
+export {
+  PER_ITEM_METHODS,
+  PER_ORDER_METHODS,
+  buildFeeMap,
+  buildTaxMap,
+  isPerOrderFee,
+  evaluateFeeComponent,
+  evaluateFees,
+  evaluateTaxes,
+  priceItem,
+  priceOrderFees
+};
@@ -0,0 +1,145 @@
+import { getPrisma, listingToTicket } from './db.js'
+import { median } from './stats.js'
+
+/**
+ * Key identifying the same listing across scrapes
+ * @param {Object} ticket Ticket object
+ * @returns {string}
+ */
+function listingKey(ticket) {
+  return `${ticket.section}|${ticket.row}|${ticket.seats}`
+}
+
+/**
+ * Compare two ticket snapshots of the same event.
+ * Listings are matched on section, row and seats.
+ * @param {Array} previous Tickets from the earlier scrape
+ * @param {Array} current Tickets from the later scrape
+ * @returns {Object} Listings classified as new, removed, priceUp and priceDown, plus an unchanged count
+ */
+function diffTickets(previous, current) {
+  const previousByKey = new Map(previous.map(ticket => [listingKey(ticket), ticket]))
+  const currentKeys = new Set()
+
+  const changes = { new: [], removed: [], priceUp: [], priceDown: [], unchanged: 0 }
+
+  for (const ticket of current) {
+    const key = listingKey(ticket)
+    currentKeys.add(key)
+
+    const before = previousByKey.get(key)
+    if (!before) {
+      changes.new.push(ticket)
+      continue
+    }
+
+    const delta = parseFloat((ticket.cost - before.cost).toFixed(2))
+    if (delta > 0) {
+      changes.priceUp.push({ ...ticket, previousCost: before.cost, delta })
+    } else if (delta < 0) {
+      changes.priceDown.push({ ...ticket, previousCost: before.cost, delta })
+    } else {
+      changes.unchanged++
+    }
+  }
+
+  for (const ticket of previous) {
+    if (!currentKeys.has(listingKey(ticket))) {
+      changes.removed.push(ticket)
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Min, median and max cost for each section of one snapshot
+ * @param {Array} tickets Ticket objects
+ * @returns {Object} Map of section label to { min, median, max, listings }
+ */
+function sectionCostStats(tickets) {
+  const costsBySection = {}
+  for (const ticket of tickets) {
+    if (!costsBySection[ticket.section]) {
+      costsBySection[ticket.section] = []
+    }
+    costsBySection[ticket.section].push(ticket.cost)
+  }
+
+  const stats = {}
+  for (const section in costsBySection) {
+    const costs = costsBySection[section].sort((a, b) => a - b)
+    stats[section] = {
+      min: costs[0],
+      median: median(costs),
+      max: costs[costs.length - 1],
+      listings: costs.length
+    }
+  }
+  return stats
+}
+
+/**
+ * Changes between a stored run and the previous successful run of the same event
+ * @param {number} runId Run ID
+ * @returns {Promise<Object|null>} { runId, previousRunId, changes }, or null if the run is unknown
+ */
+async function getRunChanges(runId) {
+  const db = getPrisma()
+  const run = await db.scrapeRun.findUnique({
+    where: { id: runId },
+    include: { listings: true }
+  })
+  if (!run) {
+    return null
+  }
+
+  const previousRun = await db.scrapeRun.findFirst({
+    where: { eventId: run.eventId, outcome: 'success', startedAt: { lt: run.startedAt } },
+    orderBy: { startedAt: 'desc' },
+    include: { listings: true }
+  })
+
+  const previousTickets = previousRun ? previousRun.listings.map(listingToTicket) : []
+  return {
+    runId: run.id,
+    previousRunId: previousRun ? previousRun.id : null,
+    changes: diffTickets(previousTickets, run.listings.map(listingToTicket))
+  }
+}
+
+/**
+ * Time series of min, median and max cost per section across successful runs of an event
+ * @param {number} eventId Event ID
+ * @param {Object} [options]
+ * @param {Date} [options.since] Only include runs started at or after this time
+ * @param {number} [options.limit] Maximum number of (most recent) runs
+ * @returns {Promise<Object>} { eventId, sections: { [section]: [{ runId, capturedAt, min, median, max, listings }] } }
+ */
+async function getSectionHistory(eventId, { since, limit = 100 } = {}) {
+  const runs = await getPrisma().scrapeRun.findMany({
+    where: {
+      eventId,
+      outcome: 'success',
+      ...(since ? { startedAt: { gte: since } } : {})
+    },
+    orderBy: { startedAt: 'desc' },
+    take: limit,
+    include: { listings: true }
+  })
+
+  const sections = {}
+  for (const run of runs.reverse()) {
+    const stats = sectionCostStats(run.listings.map(listingToTicket))
+    for (const section in stats) {
+      if (!sections[section]) {
+        sections[section] = []
+      }
+      sections[section].push({ runId: run.id, capturedAt: run.startedAt, ...stats[section] })
+    }
+  }
+
+  return { eventId, sections }
+}
+
+export { listingKey, diffTickets, sectionCostStats, getRunChanges, getSectionHistory }
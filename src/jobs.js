@@ -0,0 +1,249 @@
+import { randomUUID } from 'crypto'
+import { runScrape } from './runner.js'
+import { ScrapeCancelledError } from './scrape.js'
+import { serializeError } from './error_codes.js'
+import { parseAxsUrl } from './axs_url.js'
+
+// How long finished jobs are kept in memory before being purged
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || '', 10) || 60 * 60 * 1000; // 1 hour
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled']
+// Progress events kept per job, so late subscribers can catch up
+const MAX_JOB_EVENTS = 500
+// Progress events after which a job emits nothing more
+const FINAL_EVENTS = ['done', 'failed', 'cancelled']
+
+const jobs = new Map()
+
+// owner below is the filter from ownedBy(client), matched against the job's apiKeyId; jobs created by another key
+// are treated as unknown
+function findJob(id, owner = {}) {
+  const job = jobs.get(id)
+  if (!job || (owner.apiKeyId !== undefined && job.apiKeyId !== owner.apiKeyId)) {
+    return null
+  }
+  return job
+}
+
+/**
+ * Public view of a job (drops the internal abort controller and progress subscribers)
+ * @param {Object} job Internal job record
+ * @returns {Object} Serializable job
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    url: job.url,
+    eventId: job.eventId,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    event: job.event,
+    capturedAt: job.capturedAt,
+    result: job.result,
+    sections: job.sections,
+    runId: job.runId,
+    attempts: job.attempts,
+    changes: job.changes,
+    error: job.error
+  }
+}
+
+function setStatus(job, status) {
+  job.status = status
+  job.updatedAt = new Date().toISOString()
+  if (FINISHED_STATUSES.includes(status)) {
+    job.finishedAt = job.updatedAt
+    job.queuePosition = null
+  }
+}
+
+/**
+ * Create a scrape job and start it in the background.
+ * Status moves through queued, connecting, captcha, capturing, parsing and ends in done, failed or cancelled.
+ * @param {string} url AXS event URL
+ * @param {Object} [options]
+ * @param {number} [options.queueTimeoutMs] How long the job may wait for a browser session
+ * @param {Object} [options.parseOptions] Seat grouping options passed to parseAXSTickets
+ * @param {Object} [options.browserOptions] Browser provider and proxyCountry for the scrape
+ * @param {Object} [options.retry] Retry budget, see normalizeRetryOptions
+ * @param {number|null} [options.apiKeyId] Key that created the job, null for the admin key
+ * @returns {Object} Serialized job
+ */
+function createJob(url, options = {}) {
+  const now = new Date().toISOString()
+  const job = {
+    id: randomUUID(),
+    apiKeyId: options.apiKeyId === undefined ? null : options.apiKeyId,
+    url,
+    eventId: parseAxsUrl(url).eventId,
+    status: 'queued',
+    queuePosition: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    event: null,
+    capturedAt: null,
+    result: null,
+    sections: null,
+    runId: null,
+    attempts: null,
+    changes: null,
+    error: null,
+    controller: new AbortController(),
+    events: [],
+    subscribers: new Set(),
+    ended: false
+  }
+  jobs.set(job.id, job)
+
+  runJob(job, options)
+
+  return serializeJob(job)
+}
+
+function emitEvent(job, event) {
+  if (job.ended) {
+    return
+  }
+
+  job.events.push(event)
+  if (job.events.length > MAX_JOB_EVENTS) {
+    job.events.shift()
+  }
+
+  const final = FINAL_EVENTS.includes(event.type)
+  if (final) {
+    job.ended = true
+  }
+
+  for (const subscriber of job.subscribers) {
+    try {
+      subscriber.onEvent(event)
+      if (final) {
+        subscriber.onEnd()
+      }
+    } catch (subscriberError) {
+      console.error(`Error in job ${job.id} subscriber:`, subscriberError)
+    }
+  }
+  if (final) {
+    job.subscribers.clear()
+  }
+}
+
+async function runJob(job, options) {
+  try {
+    const { event: eventMetadata, capturedAt, tickets, sections, runId, changes, attempts } = await runScrape(job.url, {
+      signal: job.controller.signal,
+      queueTimeoutMs: options.queueTimeoutMs,
+      parseOptions: options.parseOptions,
+      browserOptions: options.browserOptions,
+      retry: options.retry,
+      onQueuePosition: position => {
+        job.queuePosition = position > 0 ? position : null
+        emitEvent(job, { type: 'queue_position', timestamp: new Date().toISOString(), position })
+      },
+      onProgress: event => emitEvent(job, event),
+      onStatus: status => {
+        if (!FINISHED_STATUSES.includes(job.status)) {
+          setStatus(job, status)
+        }
+      }
+    })
+
+    if (job.status !== 'cancelled') {
+      job.event = eventMetadata
+      job.capturedAt = capturedAt
+      job.result = tickets
+      job.sections = sections
+      job.attempts = attempts
+      job.runId = runId
+      job.changes = changes
+      setStatus(job, 'done')
+    }
+  } catch (error) {
+    if (job.status !== 'cancelled') {
+      console.error(`Job ${job.id} failed:`, error.message)
+      job.error = serializeError(error)
+      job.attempts = error.attempts || null
+      setStatus(job, 'failed')
+    }
+  }
+}
+
+/**
+ * @param {string} id Job ID
+ * @param {Object} [owner] Filter from ownedBy(client), limiting the jobs the caller may see
+ * @returns {Object|null} Serialized job, or null if unknown
+ */
+function getJob(id, owner = {}) {
+  const job = findJob(id, owner)
+  return job ? serializeJob(job) : null
+}
+
+/**
+ * Cancel a running job and close its browser session.
+ * @param {string} id Job ID
+ * @param {Object} [owner] Filter from ownedBy(client), limiting the jobs the caller may cancel
+ * @returns {{ job: Object|null, cancelled: boolean }} cancelled is false if the job had already finished
+ */
+function cancelJob(id, owner = {}) {
+  const job = findJob(id, owner)
+  if (!job) {
+    return { job: null, cancelled: false }
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return { job: serializeJob(job), cancelled: false }
+  }
+
+  setStatus(job, 'cancelled')
+  job.error = serializeError(new ScrapeCancelledError('Scrape was cancelled'))
+  emitEvent(job, { type: 'cancelled', timestamp: job.updatedAt })
+  job.controller.abort()
+
+  return { job: serializeJob(job), cancelled: true }
+}
+
+/**
+ * Follow a job's progress events. Events emitted so far are replayed first.
+ * @param {string} id Job ID
+ * @param {Function} onEvent Receives { type, timestamp, ... } progress events
+ * @param {Function} onEnd Called after the final event (done, failed or cancelled)
+ * @param {Object} [owner] Filter from ownedBy(client), limiting the jobs the caller may follow
+ * @returns {Function|null} Unsubscribes, or null if the job is unknown
+ */
+function subscribeJob(id, onEvent, onEnd, owner = {}) {
+  const job = findJob(id, owner)
+  if (!job) {
+    return null
+  }
+
+  for (const event of job.events) {
+    onEvent(event)
+  }
+
+  if (job.ended) {
+    onEnd()
+    return () => {}
+  }
+
+  const subscriber = { onEvent, onEnd }
+  job.subscribers.add(subscriber)
+  return () => job.subscribers.delete(subscriber)
+}
+
+// Purge finished jobs once they are older than the TTL
+const purgeTimer = setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id)
+    }
+  }
+}, 60 * 1000)
+purgeTimer.unref()
+
+export { createJob, getJob, cancelJob, subscribeJob }
@@ -0,0 +1,187 @@
+import express from 'express'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from './replay.js'
+
+/**
+ * Local stand-in for an AXS event page and the veritix endpoints the scraper captures.
+ * Point scrapeAxsTickets at it with the "local" browser provider to exercise the capture,
+ * retry and error paths without Scrapeless or AXS. Set AXS_EXTRA_HOSTS=localhost:4100 so the API accepts its URLs.
+ *
+ * The event page reads its scenario from its own query string:
+ *   scenario        ok (default), blocked, no-preflow or refresh
+ *   missing         Comma-separated responses to answer with 404: sections, offer_search, price
+ *   delayMs         Delay before each inventory response
+ *   preflowDelayMs  Delay before the pre-flow request that signals a solved captcha (default 1500)
+ *   pageMetadata    false to leave the schema.org JSON-LD off the page, so event metadata has to come from the pre-flow response
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'mock')
+const MOCK_PORT = parseInt(process.env.MOCK_PORT || '', 10) || 4100;
+const SCENARIOS = ['ok', 'blocked', 'no-preflow', 'refresh']
+
+// Inventory endpoints, mirroring the URL patterns scrapeAxsTickets waits for
+const INVENTORY_ROUTES = [
+  { name: 'sections', method: 'get', path: '/veritix/inventory/V2/:eventId/sections', key: 'sections' },
+  { name: 'offer_search', method: 'post', path: '/veritix/inventory/V2/:eventId/offer/search', key: 'offerSearch' },
+  { name: 'price', method: 'get', path: '/veritix/inventory/v4/:eventId/price', key: 'price' }
+]
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function parseScenario(query) {
+  const scenario = SCENARIOS.includes(query.scenario) ? query.scenario : 'ok'
+  return {
+    scenario,
+    missing: typeof query.missing === 'string' ? query.missing.split(',') : [],
+    delayMs: Math.max(parseInt(query.delayMs, 10) || 0, 0),
+    preflowDelayMs: Math.max(parseInt(query.preflowDelayMs, 10) || 1500, 0),
+    pageMetadata: query.pageMetadata !== 'false'
+  }
+}
+
+function renderEventPage(eventId, options) {
+  // Inventory requests carry the scenario so the endpoints know what to simulate
+  const inventoryQuery = new URLSearchParams({
+    missing: options.missing.join(','),
+    delayMs: String(options.delayMs)
+  }).toString()
+
+  const blockingModal = options.scenario === 'blocked'
+    ? '<div class="modal"><div class="modal-header"><h1 id="title">Oh no!</h1></div><p>Something went wrong.</p></div>'
+    : ''
+  const refreshButton = options.scenario === 'refresh'
+    ? '<button class="sc-hzyFKJ" type="button">Refresh</button>'
+    : ''
+
+  // schema.org metadata, as AXS event pages publish it
+  const jsonLd = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'MusicEvent',
+    name: `Mock AXS event ${eventId}`,
+    startDate: '2030-06-01T19:30:00-07:00',
+    doorTime: '2030-06-01T18:30:00-07:00',
+    location: {
+      '@type': 'Place',
+      name: 'Mock Arena',
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: '1 Mock Way',
+        addressLocality: 'Los Angeles',
+        addressRegion: 'CA',
+        postalCode: '90015',
+        addressCountry: 'US'
+      }
+    },
+    offers: { '@type': 'Offer', priceCurrency: 'USD' }
+  }).replace(/</g, '\\u003c')
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>Mock AXS event ${eventId}</title>
+${options.pageMetadata ? `<script type="application/ld+json">${jsonLd}</script>` : ''}
+</head>
+<body>
+<div class="header"><h1>Mock AXS event ${eventId}</h1></div>
+${blockingModal}
+${refreshButton}
+<script>
+const eventId = ${JSON.stringify(eventId)};
+const scenario = ${JSON.stringify(options.scenario)};
+const inventoryQuery = ${JSON.stringify(inventoryQuery)};
+
+function loadInventory() {
+  fetch('/veritix/inventory/V2/' + eventId + '/sections?' + inventoryQuery);
+  fetch('/veritix/inventory/V2/' + eventId + '/offer/search?' + inventoryQuery, { method: 'POST' });
+  fetch('/veritix/inventory/v4/' + eventId + '/price?' + inventoryQuery);
+}
+
+if (scenario === 'ok' || scenario === 'refresh') {
+  setTimeout(() => {
+    fetch('/veritix/pre-flow/v2/' + eventId, { method: 'POST' }).then(() => {
+      if (scenario === 'ok') {
+        loadInventory();
+      }
+    });
+  }, ${options.preflowDelayMs});
+}
+
+if (scenario === 'refresh') {
+  document.querySelector('.sc-hzyFKJ').addEventListener('click', loadInventory);
+}
+</script>
+</body>
+</html>`
+}
+
+/**
+ * @param {Object} bundle Capture bundle served by the inventory endpoints
+ * @returns {express.Application}
+ */
+function createMockServer(bundle) {
+  const app = express()
+
+  app.use((req, res, next) => {
+    console.log(`[mock] ${req.method} ${req.originalUrl}`)
+    next()
+  })
+
+  app.post('/veritix/pre-flow/v2/:eventId', (req, res) => {
+    res.json({
+      eventId: req.params.eventId,
+      status: 'OK',
+      event: {
+        eventName: `Mock AXS event ${req.params.eventId}`,
+        eventDateTime: '2030-06-01T19:30:00-07:00',
+        venue: { name: 'Mock Arena', timezone: 'America/Los_Angeles' },
+        currencyCode: 'USD'
+      }
+    })
+  })
+
+  for (const route of INVENTORY_ROUTES) {
+    app[route.method](route.path, async (req, res) => {
+      const { missing, delayMs } = parseScenario(req.query)
+      if (delayMs > 0) {
+        await delay(delayMs)
+      }
+      if (missing.includes(route.name)) {
+        return res.status(404).json({ error: `${route.name} withheld by mock scenario` })
+      }
+      res.json(bundle[route.key])
+    })
+  }
+
+  // Any other page is the event page; AXS puts the event id in the e parameter
+  app.get(/.*/, (req, res) => {
+    const eventId = typeof req.query.e === 'string' ? req.query.e : 'mock-event'
+    res.type('html').send(renderEventPage(eventId, parseScenario(req.query)))
+  })
+
+  return app
+}
+
+export { createMockServer, SCENARIOS }
+
+// CLI usage: node src/mock_server.js [captureDirOrFile=fixtures/mock] [port=4100]
+async function runCli() {
+  const source = process.argv[2] || DEFAULT_FIXTURES_DIR
+  const port = parseInt(process.argv[3], 10) || MOCK_PORT
+
+  try {
+    const bundle = await loadCaptureBundle(source)
+    createMockServer(bundle).listen(port, () => {
+      console.log(`Mock AXS server serving ${source} on http://localhost:${port}`)
+      console.log(`Event page: http://localhost:${port}/mock?e=mock-event&scenario=ok`)
+    })
+  } catch (error) {
+    console.error(`❌ Mock server failed to start: ${error.message}`)
+    process.exitCode = 1
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCli()
+}
@@ -1,32 +1,22 @@
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { buildFeeMap, buildTaxMap, priceItem } from './fee_engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
  * Helper function to build a map of price levels with their calculated pricing.
+ * Fees and taxes come from the fee engine, which handles every tax and application method.
  * @param {Object} axsResults Object containing price data.
  * @returns {Object} Map of priceLevelID to price data.
  */
 function buildPriceLevelsMap(axsResults) {
   const priceLevelsMap = {};
 
-  // Map global fees for easier lookup (from root-level fees array)
-  const rootFeeMap = {};
-  if (axsResults.price && axsResults.price.fees && Array.isArray(axsResults.price.fees)) {
-    for (const fee of axsResults.price.fees) {
-      rootFeeMap[fee.id] = fee; // Use fee.id for lookup
-    }
-  }
-
-  // Map global taxes for easier lookup
-  const taxMap = {};
-  if (axsResults.price && axsResults.price.taxes && Array.isArray(axsResults.price.taxes)) {
-    for (const tax of axsResults.price.taxes) {
-      taxMap[tax.id] = tax;
-    }
-  }
+  // Map global fees and taxes for easier lookup (from root-level arrays)
+  const rootFeeMap = buildFeeMap(axsResults.price);
+  const taxMap = buildTaxMap(axsResults.price);
 
   if (axsResults.price && axsResults.price.offerPrices) {
     for (const offerPrice of axsResults.price.offerPrices) {
@@ -38,106 +28,31 @@ function buildPriceLevelsMap(axsResults) {
                 continue;
               }
 
-              const priceLevelData = {
+              const firstPriceEntry = priceLevel.prices[0];
+
+              // Price of a single ticket at the static base (Base Component + VEN_FacFee), e.g. 19950 for PL1
+              const pricing = priceItem({
+                priceComponents: firstPriceEntry.priceComponents,
+                baseAmount: firstPriceEntry.base,
+                offerFees: offerPrice.fees,
+                feeMap: rootFeeMap,
+                taxMap
+              });
+
+              priceLevelsMap[priceLevel.priceLevelID] = {
                 priceLevelID: priceLevel.priceLevelID,
                 label: priceLevel.label,
-                basePrice: 0, // Base Component
-                facilityFee: 0, // VEN_FacFee
-                totalFees: 0, // All applicable PER-ITEM fees from root-level
-                totalTax: 0, // Calculated tax
-                websiteDisplayPrice: 0, // This will be the full calculated price for a single ticket
-                priceTypeID: null, // Store priceTypeID for dynamic pricing lookup
+                baseAmount: firstPriceEntry.base, // Base Component + VEN_FacFee
+                basePrice: pricing.baseComponent, // Base Component
+                facilityFee: pricing.facilityFee, // VEN_FacFee
+                totalFees: pricing.totalFees, // All per-item fees assigned to this offer
+                totalTax: pricing.totalTax, // Every tax applied to its taxable components and fees
+                websiteDisplayPrice: pricing.total, // The full calculated price for a single ticket
+                priceTypeID: firstPriceEntry.priceTypeID, // Store priceTypeID for dynamic pricing lookup
                 rawDynamicPrices: zonePrice.rawDynamicPrices || {}, // Store dynamic prices for this zone
+                priceComponents: firstPriceEntry.priceComponents || [], // Kept to re-price seats with a dynamic base
+                offerFees: offerPrice.fees || [] // Fees assigned to this offer
               };
-
-              const firstPriceEntry = priceLevel.prices[0];
-              const baseAmountForFeeCalculation = firstPriceEntry.base; // e.g., 19950 for PL1 (Base Component + VEN_FacFee)
-              
-              // Store the priceTypeID from the first price entry
-              priceLevelData.priceTypeID = firstPriceEntry.priceTypeID;
-
-              let baseComponentAmount = 0;
-              let venFacFeeAmount = 0;
-              let currentTaxableAmount = 0; // Amount on which tax is applied (before taxes are calculated)
-
-              const priceComponents = firstPriceEntry.priceComponents;
-              if (priceComponents) {
-                for (const comp of priceComponents) {
-                  if (comp.name === "Base Component") {
-                    baseComponentAmount = comp.amount;
-                  } else if (comp.name === "VEN_FacFee") {
-                    venFacFeeAmount = comp.amount;
-                  }
-                  // If this price component is taxable, add its amount to the taxable sum
-                  if (comp.taxIds && comp.taxIds.includes("1001")) { // Check for taxId '1001' (LET)
-                    currentTaxableAmount += comp.amount;
-                  }
-                }
-              }
-
-              priceLevelData.basePrice = baseComponentAmount;
-              priceLevelData.facilityFee = venFacFeeAmount;
-
-              let totalCalculatedPerItemFees = 0; // Sum of all PER-ITEM fees
-
-              // --- Process root-level fees that are assigned to this offer ---
-              if (offerPrice.fees && Array.isArray(offerPrice.fees)) {
-                for (const offerAssignedFee of offerPrice.fees) {
-                  const feeDef = rootFeeMap[offerAssignedFee.id]; // Get the full fee definition from rootFeeMap
-
-                  if (feeDef && feeDef.components && Array.isArray(feeDef.components)) {
-                    // Only process fees with applicationMethod "PerItem" for totalCalculatedPerItemFees
-                    if (feeDef.applicationMethod === "PerItem") {
-                      for (const component of feeDef.components) {
-                        let feeComponentAmount = 0;
-                        const priceInDollars = baseAmountForFeeCalculation / 100; // Convert to dollars for lookup ranges
-
-                        if (component.calculationMethod === "Lookup" && Array.isArray(component.lookupRanges)) {
-                          // Find the correct amount based on the base price (in dollars)
-                          for (const range of component.lookupRanges) {
-                            // Handle the case where end is 0 for the last range (e.g., ">301")
-                            if (priceInDollars >= range.start && (range.end === 0 || priceInDollars < range.end)) {
-                              feeComponentAmount = range.amount;
-                              break;
-                            }
-                          }
-                        } else if (component.calculationMethod === "Percentage" && typeof component.rate === 'number') {
-                          feeComponentAmount = (baseAmountForFeeCalculation * component.rate) / 100;
-                          if (typeof component.roundOff === 'number') {
-                            feeComponentAmount = Math.round(feeComponentAmount / component.roundOff) * component.roundOff;
-                          }
-                        } else if (component.calculationMethod === "Fixed" && typeof component.amount === 'number') {
-                          feeComponentAmount = component.amount;
-                        }
-
-                        totalCalculatedPerItemFees += feeComponentAmount;
-
-                        // If this fee component is taxable, add its amount to the taxable sum
-                        if (component.taxIds && component.taxIds.includes("1001")) { // Check for taxId '1001' (LET)
-                          currentTaxableAmount += feeComponentAmount;
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-
-              priceLevelData.totalFees = totalCalculatedPerItemFees; // This now only includes PerItem fees
-
-              // --- Calculate Total Tax ---
-              let globalTaxRate = 0;
-              const letTaxDef = taxMap["1001"]; // Get the 'LET' tax definition
-              if (letTaxDef) {
-                globalTaxRate = letTaxDef.rate;
-              }
-
-              priceLevelData.totalTax = (currentTaxableAmount * globalTaxRate) / 100;
-
-              // --- Calculate Website Display Price ---
-              // websiteDisplayPrice = (Base Component + VEN_FacFee) + total_calculated_per_item_fees + total_tax
-              priceLevelData.websiteDisplayPrice = baseAmountForFeeCalculation + totalCalculatedPerItemFees + priceLevelData.totalTax;
-
-              priceLevelsMap[priceLevel.priceLevelID] = priceLevelData;
             }
           }
         }
@@ -168,7 +83,8 @@ function getDynamicPrice(priceLevelData, sectionID, rowID, seatId) {
 }
 
 /**
- * Helper function to calculate pricing for a specific seat with dynamic pricing support
+ * Helper function to calculate pricing for a specific seat with dynamic pricing support.
+ * Fees and taxes are recomputed against the seat's own base amount.
  * @param {Object} priceLevelData Base price level data
  * @param {string} sectionID Section ID
  * @param {string} rowID Row ID
@@ -180,48 +96,443 @@ function getDynamicPrice(priceLevelData, sectionID, rowID, seatId) {
 function calculateSeatPricing(priceLevelData, sectionID, rowID, seatId, rootFeeMap, taxMap) {
   // Check if there's a dynamic price for this specific seat
   const dynamicPrice = getDynamicPrice(priceLevelData, sectionID, rowID, seatId);
-  
-  let baseAmountForCalculation;
-  let baseComponentAmount;
-  let venFacFeeAmount = priceLevelData.facilityFee;
-  
-  if (dynamicPrice !== null) {
-    // Use dynamic price as the total base amount (this replaces both base component + facility fee)
-    baseAmountForCalculation = dynamicPrice;
-    baseComponentAmount = dynamicPrice - venFacFeeAmount; // Subtract facility fee to get base component
-  } else {
-    // Use regular pricing
-    baseAmountForCalculation = priceLevelData.basePrice + priceLevelData.facilityFee;
-    baseComponentAmount = priceLevelData.basePrice;
+
+  const pricing = priceItem({
+    priceComponents: priceLevelData.priceComponents,
+    baseAmount: priceLevelData.baseAmount,
+    dynamicPrice,
+    offerFees: priceLevelData.offerFees,
+    feeMap: rootFeeMap,
+    taxMap
+  });
+
+  return {
+    basePrice: pricing.baseComponent,
+    facilityFee: pricing.facilityFee,
+    totalFees: pricing.totalFees,
+    totalTax: pricing.totalTax,
+    websiteDisplayPrice: pricing.total,
+    isDynamicPricing: dynamicPrice !== null,
+    lines: pricing.lines, // Itemized components, per-item fees and taxes
+    orderFees: pricing.orderFees // Per-order fees, charged once at checkout
+  };
+}
+
+// Default grouping reproduces the original behaviour: the best group of 2-4 consecutive seats per row, cut from the
+// start of each run (a run of 5, 6 or 9 seats gives a 4-seat group)
+const DEFAULT_PARSE_OPTIONS = {
+  minQuantity: 2,
+  maxQuantity: 4,
+  mode: 'best', // "best" keeps one group per section/row, "all" returns every qualifying group
+  allowSingles: false,
+  splitRuns: false, // Split runs longer than maxQuantity evenly into several groups
+  includeAccessible: false,
+  includeRestrictedView: false,
+  includeResale: false, // FLASHSEATS resale inventory
+  seatBreakdown: false // Price every seat individually and price the group at its most expensive seat, instead of its first
+};
+
+// Ticket categories, in the order they take precedence when a seat's single label is needed
+const SEAT_CATEGORIES = ['resale', 'accessible', 'restricted_view', 'standard'];
+
+class ParseOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParseOptionsError';
   }
+}
 
-  // For fees and taxes, use the pre-calculated values from priceLevelData
-  // This maintains consistency with the original calculation method
-  const totalCalculatedPerItemFees = priceLevelData.totalFees;
-  const totalTax = priceLevelData.totalTax;
-  
-  // Calculate final price
-  const websiteDisplayPrice = baseAmountForCalculation + totalCalculatedPerItemFees + totalTax;
+/**
+ * Validate parse options and fill in defaults
+ * @param {Object} [options] Request-level parse options
+ * @returns {Object} Complete parse options
+ */
+function normalizeParseOptions(options = {}) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ParseOptionsError('Parse options must be an object');
+  }
+
+  const parseOptions = { ...DEFAULT_PARSE_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in DEFAULT_PARSE_OPTIONS)) {
+      throw new ParseOptionsError(`Unknown parse option: ${key}`);
+    }
+    if (value !== undefined) {
+      parseOptions[key] = value;
+    }
+  }
+
+  if (!Number.isInteger(parseOptions.minQuantity) || parseOptions.minQuantity < 1) {
+    throw new ParseOptionsError('minQuantity must be a positive integer');
+  }
+  if (!Number.isInteger(parseOptions.maxQuantity) || parseOptions.maxQuantity < parseOptions.minQuantity) {
+    throw new ParseOptionsError('maxQuantity must be an integer no smaller than minQuantity');
+  }
+  if (!['best', 'all'].includes(parseOptions.mode)) {
+    throw new ParseOptionsError('mode must be "best" or "all"');
+  }
+  for (const flag of ['allowSingles', 'splitRuns', 'includeAccessible', 'includeRestrictedView', 'includeResale', 'seatBreakdown']) {
+    if (typeof parseOptions[flag] !== 'boolean') {
+      throw new ParseOptionsError(`${flag} must be a boolean`);
+    }
+  }
+
+  return parseOptions;
+}
+
+/**
+ * Helper function to classify a seat as resale, accessible, restricted view or standard inventory.
+ * A seat can be several of resale, accessible and restricted view at once; it is standard only when it is none of them.
+ * @param {Object} offer Offer containing the seat
+ * @param {Object} item Offer item (seat)
+ * @returns {Array<string>} Every category that applies, in SEAT_CATEGORIES order
+ */
+function getSeatCategories(offer, item) {
+  const categories = [];
+  const attributes = Array.isArray(item.attributes) ? item.attributes.map(attr => String(attr).toLowerCase()) : [];
+
+  if (offer.offerType === "FLASHSEATS" || (item.seatType && item.seatType.toLowerCase().includes('flashseats'))) {
+    categories.push('resale');
+  }
+
+  if ((item.statusCodeLabel && item.statusCodeLabel.toLowerCase() === "accessible") ||
+      attributes.some(attr => attr.includes('accessible'))) {
+    categories.push('accessible');
+  }
+
+  if (attributes.some(attr => attr.includes('restricted'))) {
+    categories.push('restricted_view');
+  }
+
+  return categories.length > 0 ? categories : ['standard'];
+}
+
+/**
+ * Helper function to label a seat with its single highest-precedence category
+ * @param {Object} offer Offer containing the seat
+ * @param {Object} item Offer item (seat)
+ * @returns {string} One of SEAT_CATEGORIES
+ */
+function getSeatCategory(offer, item) {
+  return getSeatCategories(offer, item)[0];
+}
+
+// A seat is only included when every one of its categories was opted in
+function isCategoryIncluded(categories, parseOptions) {
+  return categories.every(category => {
+    switch (category) {
+      case 'resale':
+        return parseOptions.includeResale;
+      case 'accessible':
+        return parseOptions.includeAccessible;
+      case 'restricted_view':
+        return parseOptions.includeRestrictedView;
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Helper function to pick the price level with the most seats in a row (or lowest average price if tied)
+ * @param {Object} groupData Section-row group
+ * @param {Object} seatsByPriceLevel Map of priceLevelID to seats in this row
+ * @param {Object} priceLevelsMap Map of priceLevelID to price data
+ * @param {Object} rootFeeMap Map of fees
+ * @param {Object} taxMap Map of taxes
+ * @returns {string|null} Best priceLevelID, or null if none has price data
+ */
+function findBestPriceLevel(groupData, seatsByPriceLevel, priceLevelsMap, rootFeeMap, taxMap) {
+  let bestPriceLevelId = null;
+  let maxSeats = 0;
+  let lowestPrice = Infinity;
+
+  for (const priceLevelId in seatsByPriceLevel) {
+    const seats = seatsByPriceLevel[priceLevelId];
+    const priceLevelData = priceLevelsMap[priceLevelId];
+    
+    if (!priceLevelData) {
+      continue;
+    }
+
+    // Calculate average price for this price level (considering dynamic pricing)
+    let totalPrice = 0;
+    for (const seat of seats) {
+      const seatPricing = calculateSeatPricing(
+        priceLevelData, 
+        groupData.sectionID, 
+        groupData.rowID, 
+        seat.seatId, 
+        rootFeeMap, 
+        taxMap
+      );
+      totalPrice += seatPricing.websiteDisplayPrice;
+    }
+    const averagePrice = totalPrice / seats.length / 100; // Convert to dollars
+    
+    // Prefer price level with more seats, or lower average price if same number of seats
+    if (seats.length > maxSeats || (seats.length === maxSeats && averagePrice < lowestPrice)) {
+      bestPriceLevelId = priceLevelId;
+      maxSeats = seats.length;
+      lowestPrice = averagePrice;
+    }
+  }
+
+  return bestPriceLevelId;
+}
+
+/**
+ * Helper function to cut a run of consecutive seats into as few chunks of at most maxQuantity seats as possible,
+ * sized as evenly as possible so none falls below minQuantity (5 seats with a maximum of 4 become 3 + 2, not 4 + 1).
+ * When even chunks are still too small, chunks of maxQuantity are cut instead and the remainder is left over.
+ * @param {Array} run Consecutive seats
+ * @param {number} maxQuantity Largest chunk size
+ * @param {Function} isSellable Whether a chunk of the given size can be returned
+ * @returns {Array<Array>} Chunks in seat order
+ */
+function splitRun(run, maxQuantity, isSellable) {
+  const chunkCount = Math.ceil(run.length / maxQuantity);
+  const smallSize = Math.floor(run.length / chunkCount);
+  const largeCount = run.length % chunkCount; // The first chunks take one seat more
+
+  if (isSellable(smallSize)) {
+    const chunks = [];
+    let start = 0;
+    for (let i = 0; i < chunkCount; i++) {
+      const size = i < largeCount ? smallSize + 1 : smallSize;
+      chunks.push(run.slice(start, start + size));
+      start += size;
+    }
+    return chunks;
+  }
+
+  const chunks = [];
+  for (let start = 0; start < run.length; start += maxQuantity) {
+    chunks.push(run.slice(start, start + maxQuantity));
+  }
+  return chunks;
+}
+
+/**
+ * Helper function to find sellable groups of consecutive seats
+ * @param {Array} seats Seats sharing a section, row and price level
+ * @param {Object} parseOptions Normalized parse options
+ * @returns {Array<Array>} Seat groups, largest first in "best" mode
+ */
+function findSeatGroups(seats, parseOptions) {
+  const { minQuantity, maxQuantity, mode, allowSingles, splitRuns } = parseOptions;
+
+  const isSellable = (size) => (size >= minQuantity && size <= maxQuantity) || (allowSingles && size === 1);
+
+  // Sort seats by number to find runs of consecutive seats
+  const sortedSeats = [...seats].sort((a, b) => a.number - b.number);
+  const runs = [];
+  for (const seat of sortedSeats) {
+    const currentRun = runs[runs.length - 1];
+    if (currentRun && seat.number === currentRun[currentRun.length - 1].number + 1) {
+      currentRun.push(seat);
+    } else {
+      runs.push([seat]);
+    }
+  }
+
+  const groups = [];
+  for (const run of runs) {
+    if (!splitRuns) {
+      // Only the run's first chunk of at most maxQuantity seats
+      const chunk = run.slice(0, maxQuantity);
+      if (isSellable(chunk.length)) {
+        groups.push(chunk);
+      }
+      continue;
+    }
+
+    for (const chunk of splitRun(run, maxQuantity, isSellable)) {
+      if (isSellable(chunk.length)) {
+        groups.push(chunk);
+      }
+    }
+  }
+
+  if (mode === 'all' || groups.length === 0) {
+    return groups;
+  }
+
+  // Best mode: the largest group, earliest in the row on ties
+  let bestGroup = groups[0];
+  for (const group of groups) {
+    if (group.length > bestGroup.length) {
+      bestGroup = group;
+    }
+  }
+  return [bestGroup];
+}
+
+const centsToDollars = (cents) => parseFloat((cents / 100).toFixed(2));
+
+/**
+ * Helper function to get the per-ticket connection fee of a section from the sections response
+ * @param {Object} axsResults Object containing sections data
+ * @param {string} sectionLabel Section label
+ * @returns {number} Connection fee in cents
+ */
+function getConnectionFee(axsResults, sectionLabel) {
+  const sectionData = axsResults.sections && axsResults.sections[sectionLabel];
+  if (sectionData && typeof sectionData.connectionFee === 'number') {
+    return sectionData.connectionFee;
+  }
+  return 0;
+}
+
+/**
+ * Helper function to price every seat of a group individually
+ * @param {Array} group Consecutive seats in the group
+ * @param {Object} groupData Section-row group
+ * @param {Object} priceLevelData Price level data for the group
+ * @param {number} connectionFee Section connection fee in cents
+ * @param {Object} rootFeeMap Map of fees
+ * @param {Object} taxMap Map of taxes
+ * @returns {{ seatDetails: Array, totals: Object }} Per-seat prices and group totals, in dollars
+ */
+function buildSeatBreakdown(group, groupData, priceLevelData, connectionFee, rootFeeMap, taxMap) {
+  const seatDetails = group.map(seat => {
+    const seatPricing = calculateSeatPricing(
+      priceLevelData,
+      groupData.sectionID,
+      groupData.rowID,
+      seat.seatId,
+      rootFeeMap,
+      taxMap
+    );
+
+    return {
+      seatId: seat.seatId,
+      number: seat.number,
+      basePrice: centsToDollars(seatPricing.basePrice),
+      facilityFee: centsToDollars(seatPricing.facilityFee),
+      fees: centsToDollars(seatPricing.totalFees),
+      tax: centsToDollars(seatPricing.totalTax),
+      connectionFee: centsToDollars(connectionFee),
+      total: centsToDollars(seatPricing.websiteDisplayPrice + connectionFee),
+      isDynamicPricing: seatPricing.isDynamicPricing,
+      lines: seatPricing.lines.map(line => {
+        const dollarLine = { ...line, amount: centsToDollars(line.amount) };
+        if (line.type === 'tax') {
+          dollarLine.taxableAmount = centsToDollars(line.taxableAmount);
+        }
+        return dollarLine;
+      })
+    };
+  });
+
+  const seatTotals = seatDetails.map(seat => seat.total);
+  const sum = parseFloat(seatTotals.reduce((total, value) => total + value, 0).toFixed(2));
 
   return {
-    basePrice: baseComponentAmount,
-    facilityFee: venFacFeeAmount,
-    totalFees: totalCalculatedPerItemFees,
-    totalTax: totalTax,
-    websiteDisplayPrice: websiteDisplayPrice,
-    isDynamicPricing: dynamicPrice !== null
+    seatDetails,
+    totals: {
+      sum: sum,
+      min: Math.min(...seatTotals),
+      max: Math.max(...seatTotals),
+      average: parseFloat((sum / seatTotals.length).toFixed(2))
+    }
   };
 }
 
+/**
+ * Helper function to build the output ticket for a group of seats
+ * @param {Object} axsResults Object containing sections data
+ * @param {Object} groupData Section-row group
+ * @param {Array} group Consecutive seats in the group
+ * @param {Object} priceLevelData Price level data for the group
+ * @param {Object} rootFeeMap Map of fees
+ * @param {Object} taxMap Map of taxes
+ * @param {Object} parseOptions Normalized parse options
+ * @returns {Object} Ticket object
+ */
+function buildTicket(axsResults, groupData, group, priceLevelData, rootFeeMap, taxMap, parseOptions) {
+  const firstSeat = group[0];
+
+  // Get the connection fee for the current section
+  const connectionFee = getConnectionFee(axsResults, groupData.sectionLabel);
+
+  // The first seat is the representative price, unless every seat is priced: then the group is priced at its
+  // most expensive seat, so cost (which watches, history and rankListings read) is never below any seat in it
+  let breakdown = null;
+  let pricedSeat = firstSeat;
+  if (parseOptions.seatBreakdown) {
+    breakdown = buildSeatBreakdown(group, groupData, priceLevelData, connectionFee, rootFeeMap, taxMap);
+    const priciest = breakdown.seatDetails.reduce((max, seat) => seat.total > max.total ? seat : max);
+    pricedSeat = group.find(seat => seat.seatId === priciest.seatId);
+  }
+
+  const seatPricing = calculateSeatPricing(
+    priceLevelData, 
+    groupData.sectionID, 
+    groupData.rowID, 
+    pricedSeat.seatId, 
+    rootFeeMap, 
+    taxMap
+  );
+
+  // Calculate final prices with proper conversion and rounding
+  const face_price = parseFloat(((seatPricing.basePrice + seatPricing.facilityFee) / 100).toFixed(2));
+  const taxed_cost = parseFloat(((seatPricing.totalFees + seatPricing.totalTax) / 100).toFixed(2));
+  const connection_fee_dollars = parseFloat((connectionFee / 100).toFixed(2));
+  
+  // Cost should be exactly face_price + taxed_cost + connection_fee
+  const cost = parseFloat((face_price + taxed_cost + connection_fee_dollars).toFixed(2));
+
+  const ticket = {
+    section: groupData.sectionLabel,
+    row: groupData.rowLabel,
+    seats: group.map(s => s.number).join(','),
+    quantity: group.length,
+    priceLevelId: priceLevelData.priceLevelID,
+    face_price: face_price,
+    taxed_cost: taxed_cost,
+    cost: cost,
+    isDynamicPricing: seatPricing.isDynamicPricing,
+    connection_fee: connection_fee_dollars, // Add this for debugging
+    category: groupData.category,
+    categories: groupData.categories,
+    offerType: firstSeat.offerType,
+    seatType: firstSeat.seatType,
+    attributes: [...new Set(group.flatMap(s => s.attributes))]
+  };
+
+  if (breakdown) {
+    ticket.seatDetails = breakdown.seatDetails;
+    ticket.totals = breakdown.totals;
+    // With per-seat pricing the group counts as dynamic if any of its seats is
+    ticket.isDynamicPricing = breakdown.seatDetails.some(seat => seat.isDynamicPricing);
+  }
+
+  return ticket;
+}
+
 /**
  * Parse AXS ticket data from the provided data object
  * @param {Object} axsResults Object containing sections, offerSearch, and price data
+ * @param {Object} [options] Seat grouping options (see DEFAULT_PARSE_OPTIONS)
+ * @param {number} [options.minQuantity] Smallest group size to return
+ * @param {number} [options.maxQuantity] Largest group size to return
+ * @param {string} [options.mode] "best" for one group per section/row, "all" for every qualifying group
+ * @param {boolean} [options.allowSingles] Also return single seats
+ * @param {boolean} [options.splitRuns] Split long runs of consecutive seats evenly into several groups
+ * @param {boolean} [options.includeAccessible] Include accessible seats (category "accessible")
+ * @param {boolean} [options.includeRestrictedView] Include restricted view seats (category "restricted_view")
+ * @param {boolean} [options.includeResale] Include FLASHSEATS resale offers (category "resale")
+ *   A seat in several of these categories (e.g. resale and accessible) is only included when all of them are
+ * @param {boolean} [options.seatBreakdown] Add seatDetails and totals with each seat priced individually; cost is then the most expensive seat
  * @returns {Promise<Array>} Array of ticket objects
  */
-async function parseAXSTickets(axsResults) {
+async function parseAXSTickets(axsResults, options = {}) {
   try {
     console.log('Parsing ticket data from provided object');
 
+    const parseOptions = normalizeParseOptions(options);
+
     // Initialize tickets array
     const tickets = [];
 
@@ -229,19 +540,8 @@ async function parseAXSTickets(axsResults) {
     const priceLevelsMap = buildPriceLevelsMap(axsResults);
 
     // Map global fees and taxes for seat-specific calculations
-    const rootFeeMap = {};
-    if (axsResults.price && axsResults.price.fees && Array.isArray(axsResults.price.fees)) {
-      for (const fee of axsResults.price.fees) {
-        rootFeeMap[fee.id] = fee;
-      }
-    }
-
-    const taxMap = {};
-    if (axsResults.price && axsResults.price.taxes && Array.isArray(axsResults.price.taxes)) {
-      for (const tax of axsResults.price.taxes) {
-        taxMap[tax.id] = tax;
-      }
-    }
+    const rootFeeMap = buildFeeMap(axsResults.price);
+    const taxMap = buildTaxMap(axsResults.price);
 
     // If we have detailed offer data, process that for specific seats
     if (axsResults.offerSearch && axsResults.offerSearch.offers) {
@@ -251,33 +551,19 @@ async function parseAXSTickets(axsResults) {
 
       // First pass: Collect all valid seats
       for (const offer of axsResults.offerSearch.offers) {
-        // Filter out FlashSale/resale offers based on offerType
-        if (offer.offerType === "FLASHSEATS") {
-          continue;
-        }
-
         if (!offer.items || !Array.isArray(offer.items) || offer.items.length === 0) {
           continue;
         }
 
         for (const item of offer.items) {
-          // Skip if not available or if it's accessible/restricted view
-          if (item.statusCodeLabel && item.statusCodeLabel.toLowerCase() === "accessible") {
+          // Skip FLASHSEATS resale, accessible and restricted view seats unless requested
+          const categories = getSeatCategories(offer, item);
+          if (!isCategoryIncluded(categories, parseOptions)) {
             continue;
           }
 
-          if (item.attributes?.some(attr =>
-              attr.toLowerCase().includes('restricted') ||
-              attr.toLowerCase().includes('accessible')
-            )) {
-            continue;
-          }
-
-          if (item.seatType && item.seatType.toLowerCase().includes('flashseats')) {
-            continue;
-          }
-
-          const key = `${item.sectionID}-${item.rowLabel}`;
+          // Seats of different categories are never grouped together
+          const key = `${item.sectionID}-${item.rowLabel}-${categories.join('+')}`;
 
           if (!sectionRowPriceSeats[key]) {
             sectionRowPriceSeats[key] = {
@@ -285,6 +571,8 @@ async function parseAXSTickets(axsResults) {
               sectionID: item.sectionID,
               rowLabel: item.rowLabel,
               rowID: item.rowID,
+              category: categories[0],
+              categories: categories,
               seats: []
             };
           }
@@ -294,12 +582,15 @@ async function parseAXSTickets(axsResults) {
             displayOrder: item.displayOrder,
             seatId: item.id, // Use seat ID for dynamic pricing lookup
             offerId: offer.offerID,
+            offerType: offer.offerType || null,
+            seatType: item.seatType || null,
+            attributes: Array.isArray(item.attributes) ? item.attributes : [],
             priceLevelId: item.priceLevelID
           });
         }
       }
 
-      // Second pass: Process each section-row group to find valid pairs or singles
+      // Second pass: Process each section-row group to find sellable consecutive groups
       for (const key in sectionRowPriceSeats) {
         const groupData = sectionRowPriceSeats[key];
 
@@ -312,125 +603,23 @@ async function parseAXSTickets(axsResults) {
           seatsByPriceLevel[seat.priceLevelId].push(seat);
         }
 
-        // Find the price level with the most seats (or lowest price if tied)
-        let bestPriceLevelId = null;
-        let maxSeats = 0;
-        let lowestPrice = Infinity;
-
-        for (const priceLevelId in seatsByPriceLevel) {
-          const seats = seatsByPriceLevel[priceLevelId];
-          const priceLevelData = priceLevelsMap[priceLevelId];
-          
-          if (!priceLevelData) {
-            continue;
-          }
-
-          // Calculate average price for this price level (considering dynamic pricing)
-          let totalPrice = 0;
-          for (const seat of seats) {
-            const seatPricing = calculateSeatPricing(
-              priceLevelData, 
-              groupData.sectionID, 
-              groupData.rowID, 
-              seat.seatId, 
-              rootFeeMap, 
-              taxMap
-            );
-            totalPrice += seatPricing.websiteDisplayPrice;
-          }
-          const averagePrice = totalPrice / seats.length / 100; // Convert to dollars
-          
-          // Prefer price level with more seats, or lower average price if same number of seats
-          if (seats.length > maxSeats || (seats.length === maxSeats && averagePrice < lowestPrice)) {
-            bestPriceLevelId = priceLevelId;
-            maxSeats = seats.length;
-            lowestPrice = averagePrice;
-          }
-        }
+        // In "all" mode every price level in the row is used, otherwise only the best one
+        const priceLevelIds = parseOptions.mode === 'all'
+          ? Object.keys(seatsByPriceLevel).filter(priceLevelId => priceLevelsMap[priceLevelId])
+          : [findBestPriceLevel(groupData, seatsByPriceLevel, priceLevelsMap, rootFeeMap, taxMap)].filter(Boolean);
 
-        if (!bestPriceLevelId) {
+        if (priceLevelIds.length === 0) {
           console.warn(`No valid price level found for section-row: ${groupData.sectionLabel} ${groupData.rowLabel}`);
           continue;
         }
 
-        const selectedSeats = seatsByPriceLevel[bestPriceLevelId];
-        const priceLevelData = priceLevelsMap[bestPriceLevelId];
-
-        // Sort seats by number to find consecutive groups
-        selectedSeats.sort((a, b) => a.number - b.number);
-
-        // Find the best consecutive group (largest group, 2-4 seats only)
-        let bestGroup = [];
-        let currentGroup = [];
-
-        for (let i = 0; i < selectedSeats.length; i++) {
-          const currentSeat = selectedSeats[i];
-          
-          if (currentGroup.length === 0) {
-            // Start new group
-            currentGroup = [currentSeat];
-          } else {
-            const lastSeat = currentGroup[currentGroup.length - 1];
-            if (currentSeat.number === lastSeat.number + 1 && currentGroup.length < 4) {
-              // Consecutive seat, add to current group (max 4 seats)
-              currentGroup.push(currentSeat);
-            } else {
-              // Not consecutive or group is full, check if current group is better than best
-              // Only consider groups with 2-4 seats
-              if (currentGroup.length >= 2 && currentGroup.length > bestGroup.length) {
-                bestGroup = [...currentGroup];
-              }
-              // Start new group with current seat
-              currentGroup = [currentSeat];
-            }
-          }
-        }
-
-        // Check the last group - only consider groups with 2-4 seats
-        if (currentGroup.length >= 2 && currentGroup.length > bestGroup.length) {
-          bestGroup = [...currentGroup];
-        }
+        for (const priceLevelId of priceLevelIds) {
+          const priceLevelData = priceLevelsMap[priceLevelId];
+          const groups = findSeatGroups(seatsByPriceLevel[priceLevelId], parseOptions);
 
-        // Only create ticket entry if we have a valid group of 2-4 seats
-        if (bestGroup.length >= 2) {
-          // Calculate pricing for the first seat in the group (representative pricing)
-          const firstSeat = bestGroup[0];
-          
-          const seatPricing = calculateSeatPricing(
-            priceLevelData, 
-            groupData.sectionID, 
-            groupData.rowID, 
-            firstSeat.seatId, 
-            rootFeeMap, 
-            taxMap
-          );
-
-          // Get the connection fee for the current section
-          const sectionData = axsResults.sections[groupData.sectionLabel];
-          let connectionFee = 0;
-          if (sectionData && typeof sectionData.connectionFee === 'number') {
-            connectionFee = sectionData.connectionFee;
+          for (const group of groups) {
+            tickets.push(buildTicket(axsResults, groupData, group, priceLevelData, rootFeeMap, taxMap, parseOptions));
           }
-
-          // Calculate final prices with proper conversion and rounding
-          const face_price = parseFloat(((seatPricing.basePrice + seatPricing.facilityFee) / 100).toFixed(2));
-          const taxed_cost = parseFloat(((seatPricing.totalFees + seatPricing.totalTax) / 100).toFixed(2));
-          const connection_fee_dollars = parseFloat((connectionFee / 100).toFixed(2));
-          
-          // Cost should be exactly face_price + taxed_cost + connection_fee
-          const cost = parseFloat((face_price + taxed_cost + connection_fee_dollars).toFixed(2));
-
-          tickets.push({
-            section: groupData.sectionLabel,
-            row: groupData.rowLabel,
-            seats: bestGroup.map(s => s.number).join(','),
-            quantity: bestGroup.length,
-            face_price: face_price,
-            taxed_cost: taxed_cost,
-            cost: cost,
-            isDynamicPricing: seatPricing.isDynamicPricing,
-            connection_fee: connection_fee_dollars // Add this for debugging
-          });
         }
       }
     }
@@ -444,5 +633,17 @@ async function parseAXSTickets(axsResults) {
   }
 }
 
-// Export only the parseAXSTickets function
-export { parseAXSTickets };
\ No newline at end of file
+export {
+  parseAXSTickets,
+  normalizeParseOptions,
+  ParseOptionsError,
+  SEAT_CATEGORIES,
+  buildPriceLevelsMap,
+  calculateSeatPricing,
+  getConnectionFee,
+  getSeatCategory,
+  getSeatCategories,
+  isCategoryIncluded,
+  findSeatGroups,
+  centsToDollars
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { parseAXSTickets } from './parse_tickets.js'
+import { assertCaptureSchema } from './response_schemas.js'
+import { CAPTURE_DEBUG_DIR } from './capture_targets.js'
+import { buildEventMetadata } from './event_metadata.js'
+
+// Files written by scrapeAxsTickets, keyed by the property parseAXSTickets expects
+const CAPTURE_FILES = {
+  sections: 'sections.json',
+  offerSearch: 'offer_search.json',
+  price: 'price.json'
+}
+
+class CaptureBundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptureBundleError';
+  }
+}
+
+/**
+ * Normalize a capture bundle into the object shape parseAXSTickets expects.
+ * Accepts both the in-memory key (offerSearch) and the file name key (offer_search).
+ * @param {Object} bundle Raw bundle containing sections, offerSearch and price data
+ * @returns {Object} Bundle with sections, offerSearch and price, plus url, capturedAt and event when the bundle has them
+ */
+function normalizeCaptureBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    throw new CaptureBundleError('Capture bundle must be an object')
+  }
+
+  const normalized = {
+    sections: bundle.sections,
+    offerSearch: bundle.offerSearch || bundle.offer_search,
+    price: bundle.price
+  }
+
+  const missing = Object.keys(CAPTURE_FILES).filter(key => !normalized[key] || typeof normalized[key] !== 'object')
+  if (missing.length > 0) {
+    throw new CaptureBundleError(`Capture bundle is missing: ${missing.join(', ')}`)
+  }
+
+  // A capture saved from onCapture also carries where and when it was taken and the page's event metadata
+  if (bundle.url) {
+    normalized.url = bundle.url
+  }
+  if (bundle.capturedAt) {
+    normalized.capturedAt = bundle.capturedAt
+  }
+  if (bundle.event && typeof bundle.event === 'object' && !Array.isArray(bundle.event)) {
+    normalized.event = bundle.event
+  }
+
+  return normalized
+}
+
+/**
+ * Event metadata of a capture bundle: the metadata saved with it, or what its URL and veritix responses describe
+ * @param {Object} bundle Normalized capture bundle
+ * @returns {Object} Event metadata, see buildEventMetadata
+ */
+function bundleEventMetadata(bundle) {
+  return bundle.event || buildEventMetadata({}, bundle.url, [bundle.offerSearch, bundle.price])
+}
+
+/**
+ * Load a capture bundle from disk.
+ * The source can be a directory holding sections.json, offer_search.json and price.json
+ * (as written by scrapeAxsTickets), or a single JSON file with all three keys.
+ * @param {string} [source] Path to a capture directory or bundle file, defaults to the scraper's CAPTURE_DEBUG_DIR
+ * @returns {Promise<Object>} Normalized capture bundle
+ */
+async function loadCaptureBundle(source = CAPTURE_DEBUG_DIR) {
+  let stats
+  try {
+    stats = await fs.stat(source)
+  } catch (error) {
+    throw new CaptureBundleError(`Capture source not found: ${source}`)
+  }
+
+  if (stats.isFile()) {
+    return normalizeCaptureBundle(await readJsonFile(source))
+  }
+
+  const bundle = {}
+  for (const [key, filename] of Object.entries(CAPTURE_FILES)) {
+    bundle[key] = await readJsonFile(path.join(source, filename))
+  }
+  return normalizeCaptureBundle(bundle)
+}
+
+async function readJsonFile(filePath) {
+  let text
+  try {
+    text = await fs.readFile(filePath, 'utf8')
+  } catch (error) {
+    throw new CaptureBundleError(`Could not read ${filePath}: ${error.message}`)
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new CaptureBundleError(`${filePath} is not valid JSON: ${error.message}`)
+  }
+}
+
+/**
+ * Parse tickets from a saved capture bundle without opening a browser session.
+ * The responses are checked against their schemas first, so drift fails with a SchemaDriftError.
+ * @param {Object} bundle Capture bundle (see normalizeCaptureBundle)
+ * @param {Object} [parseOptions] Seat grouping options passed to parseAXSTickets
+ * @returns {Promise<Array>} Array of ticket objects
+ */
+async function replayCapture(bundle, parseOptions) {
+  const captured = normalizeCaptureBundle(bundle)
+  assertCaptureSchema(captured)
+  return parseAXSTickets(captured, parseOptions)
+}
+
+export { loadCaptureBundle, normalizeCaptureBundle, replayCapture, bundleEventMetadata, CaptureBundleError }
+
+// CLI usage: node src/replay.js [captureDirOrFile=CAPTURE_DEBUG_DIR] [outputFile=tickets.json] [parseOptionsJson]
+async function runCli() {
+  const source = process.argv[2] || CAPTURE_DEBUG_DIR
+  const output = process.argv[3] || 'tickets.json'
+
+  try {
+    const parseOptions = process.argv[4] ? JSON.parse(process.argv[4]) : undefined
+    const bundle = await loadCaptureBundle(source)
+    const tickets = await replayCapture(bundle, parseOptions)
+
+    await fs.writeFile(output, JSON.stringify(tickets, null, 2))
+    console.log(`✅ Wrote ${tickets.length} ticket groups to ${output}`)
+  } catch (error) {
+    console.error(`❌ Replay failed: ${error.message}`)
+    if (error.report) {
+      console.error(JSON.stringify(error.report.issues, null, 2))
+    }
+    process.exitCode = 1
+  }
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCli()
+}
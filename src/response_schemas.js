@@ -0,0 +1,353 @@
+/**
+ * Declared shapes of the three veritix inventory responses, limited to the fields the parser and fee engine read.
+ * Every field is required unless marked optional; optional fields are still type-checked when present.
+ * Unknown fields are ignored, except that one resembling a missing required field is reported as a rename.
+ */
+
+const ID = { type: ['string', 'number'] }
+
+// The fee engine matches taxIds against tax map keys as strings, so numeric tax IDs are normalized there
+const TAX_IDS = { type: 'array', optional: true, items: ID }
+
+const PRICE_COMPONENT = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    amount: { type: 'number' },
+    taxIds: TAX_IDS
+  }
+}
+
+const FEE_COMPONENT = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', optional: true },
+    calculationMethod: { type: 'string' },
+    amount: { type: 'number', optional: true },
+    rate: { type: 'number', optional: true },
+    lookupRanges: {
+      type: 'array',
+      optional: true,
+      items: {
+        type: 'object',
+        fields: {
+          start: { type: 'number' },
+          end: { type: 'number' },
+          amount: { type: 'number' }
+        }
+      }
+    },
+    taxIds: TAX_IDS
+  }
+}
+
+const RESPONSE_SCHEMAS = {
+  // Keyed by section label
+  sections: {
+    type: 'map',
+    values: {
+      type: 'object',
+      fields: {
+        connectionFee: { type: 'number', optional: true }
+      }
+    }
+  },
+
+  offerSearch: {
+    type: 'object',
+    fields: {
+      offers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          fields: {
+            offerID: { ...ID, optional: true },
+            offerType: { type: 'string', optional: true },
+            // The parser skips offers without items, so an empty offer is valid
+            items: {
+              type: 'array',
+              optional: true,
+              items: {
+                type: 'object',
+                fields: {
+                  id: ID,
+                  number: ID,
+                  displayOrder: { type: 'number', optional: true },
+                  sectionID: ID,
+                  sectionLabel: { type: 'string' },
+                  rowID: ID,
+                  rowLabel: { type: 'string' },
+                  priceLevelID: ID,
+                  seatType: { type: 'string', optional: true },
+                  statusCodeLabel: { type: 'string', optional: true },
+                  attributes: { type: 'array', optional: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  price: {
+    type: 'object',
+    fields: {
+      fees: {
+        type: 'array',
+        optional: true,
+        items: {
+          type: 'object',
+          fields: {
+            id: ID,
+            name: { type: 'string', optional: true },
+            applicationMethod: { type: 'string' },
+            components: { type: 'array', items: FEE_COMPONENT }
+          }
+        }
+      },
+      taxes: {
+        type: 'array',
+        optional: true,
+        items: {
+          type: 'object',
+          fields: {
+            id: ID,
+            name: { type: 'string', optional: true },
+            rate: { type: 'number', optional: true },
+            amount: { type: 'number', optional: true }
+          }
+        }
+      },
+      offerPrices: {
+        type: 'array',
+        items: {
+          type: 'object',
+          fields: {
+            fees: {
+              type: 'array',
+              optional: true,
+              items: { type: 'object', fields: { id: ID } }
+            },
+            zonePrices: {
+              type: 'array',
+              optional: true,
+              items: {
+                type: 'object',
+                fields: {
+                  rawDynamicPrices: { type: 'map', optional: true, values: { type: 'number' } },
+                  priceLevels: {
+                    type: 'array',
+                    optional: true,
+                    items: {
+                      type: 'object',
+                      fields: {
+                        priceLevelID: ID,
+                        label: { type: 'string', optional: true },
+                        prices: {
+                          type: 'array',
+                          optional: true,
+                          items: {
+                            type: 'object',
+                            fields: {
+                              // Without a priceTypeID the parser skips dynamic prices; without components it prices the base alone
+                              priceTypeID: { ...ID, optional: true },
+                              base: { type: 'number' },
+                              priceComponents: { type: 'array', optional: true, items: PRICE_COMPONENT }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Issues listed in full on the report; the rest are only counted
+const MAX_REPORTED_ISSUES = 50
+
+class SchemaDriftError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'SchemaDriftError';
+    this.report = report;
+    this.needsSessionClose = true;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  return typeof value
+}
+
+// Maps are plain objects in JSON, so that is what a report says was expected
+const describeType = (schema) => [].concat(schema.type).map(type => type === 'map' ? 'object' : type).join('|')
+
+function matchesType(schema, value) {
+  const actual = typeOf(value)
+  const expected = [].concat(schema.type)
+  return expected.some(type => type === actual || (type === 'map' && actual === 'object'))
+}
+
+// Field names that differ only in case or separators, or by a couple of characters, e.g. priceLevelID -> priceLevelId
+function isLikelyRename(expected, candidate) {
+  const simplify = (name) => name.toLowerCase().replace(/[_-]/g, '')
+  if (simplify(expected) === simplify(candidate)) {
+    return true
+  }
+  return expected.length >= 5 && editDistance(simplify(expected), simplify(candidate)) <= 2
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+function checkValue(schema, value, path, addIssue) {
+  if (!matchesType(schema, value)) {
+    addIssue({ path: path.pattern, example: path.concrete, problem: 'wrong_type', expected: describeType(schema), found: typeOf(value) })
+    return
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      checkValue(schema.items, item, childPath(path, '[]', `[${index}]`), addIssue)
+    })
+  }
+
+  if (schema.type === 'map' && schema.values) {
+    for (const key in value) {
+      checkValue(schema.values, value[key], childPath(path, '.*', `[${JSON.stringify(key)}]`), addIssue)
+    }
+  }
+
+  if (schema.type === 'object' && schema.fields) {
+    const unknownFields = Object.keys(value).filter(key => !(key in schema.fields))
+
+    for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+      const fieldPath = childPath(path, `.${name}`, `.${name}`)
+
+      if (value[name] === undefined) {
+        if (fieldSchema.optional) {
+          continue
+        }
+        const renamedTo = unknownFields.find(key => isLikelyRename(name, key) && matchesType(fieldSchema, value[key]))
+        addIssue(renamedTo
+          ? { path: fieldPath.pattern, example: fieldPath.concrete, problem: 'renamed', expected: name, found: renamedTo }
+          : { path: fieldPath.pattern, example: fieldPath.concrete, problem: 'missing', expected: describeType(fieldSchema), found: null })
+        continue
+      }
+
+      checkValue(fieldSchema, value[name], fieldPath, addIssue)
+    }
+  }
+}
+
+// pattern collapses array indexes and map keys so one drifted field is reported once, not once per seat
+function childPath(path, patternPart, concretePart) {
+  return {
+    pattern: `${path.pattern}${patternPart}`,
+    concrete: `${path.concrete}${concretePart}`
+  }
+}
+
+/**
+ * Validate one captured response against its declared schema
+ * @param {string} name Response name: sections, offerSearch or price
+ * @param {*} data Parsed response body, or the raw text when it was not valid JSON
+ * @returns {Array} Issues { response, path, example, problem, expected, found, occurrences }
+ *   problem is missing, renamed, wrong_type or not_json. path uses [] for any array index and .* for any map key;
+ *   example is the first concrete location. For renamed fields, found is the name the field appears under now.
+ */
+function validateResponse(name, data) {
+  const schema = RESPONSE_SCHEMAS[name]
+  const root = { pattern: name, concrete: name }
+  const issues = new Map()
+
+  const addIssue = (issue) => {
+    const key = `${issue.path}|${issue.problem}|${issue.found}`
+    const existing = issues.get(key)
+    if (existing) {
+      existing.occurrences++
+    } else {
+      issues.set(key, { response: name, ...issue, occurrences: 1 })
+    }
+  }
+
+  if (typeof data === 'string') {
+    addIssue({ path: root.pattern, example: root.concrete, problem: 'not_json', expected: describeType(schema), found: 'text' })
+  } else {
+    checkValue(schema, data, root, addIssue)
+  }
+
+  return [...issues.values()]
+}
+
+/**
+ * Validate the three captured responses
+ * @param {Object} captured { sections, offerSearch, price }
+ * @returns {Object} Drift report { valid, responses, issueCount, issues }
+ *   responses lists the responses that drifted; issues is capped at 50 entries, issueCount is the full count.
+ */
+function validateCapture(captured) {
+  const issues = Object.keys(RESPONSE_SCHEMAS).flatMap(name => validateResponse(name, captured[name]))
+
+  return {
+    valid: issues.length === 0,
+    responses: [...new Set(issues.map(issue => issue.response))],
+    issueCount: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES)
+  }
+}
+
+function describeIssue(issue) {
+  switch (issue.problem) {
+    case 'renamed':
+      return `${issue.path} renamed to ${issue.found}`
+    case 'not_json':
+      return `${issue.path} is not JSON`
+    case 'wrong_type':
+      return `${issue.path} is ${issue.found}, expected ${issue.expected}`
+    default:
+      return `${issue.path} is missing`
+  }
+}
+
+/**
+ * Throw a SchemaDriftError carrying the drift report when any captured response doesn't match its schema
+ * @param {Object} captured { sections, offerSearch, price }
+ * @returns {Object} The (valid) drift report
+ */
+function assertCaptureSchema(captured) {
+  const report = validateCapture(captured)
+  if (!report.valid) {
+    const more = report.issueCount > 1 ? ` (and ${report.issueCount - 1} more)` : ''
+    throw new SchemaDriftError(`Veritix response schema drift: ${describeIssue(report.issues[0])}${more}`, report)
+  }
+  return report
+}
+
+export { RESPONSE_SCHEMAS, validateResponse, validateCapture, assertCaptureSchema, SchemaDriftError }
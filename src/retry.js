@@ -0,0 +1,176 @@
+import { scrapeAxsTickets, ScrapeCancelledError } from './scrape.js'
+import { normalizeBrowserOptions, BROWSER_PROVIDERS } from './browser_providers.js'
+import { describeError } from './error_codes.js'
+
+// Blocks, captcha timeouts and lost browser connections are retried in a fresh session by default. Every attempt is
+// another browser session, so set SCRAPE_MAX_ATTEMPTS=1 or pass retry.maxAttempts: 1 to turn retries off.
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: parseInt(process.env.SCRAPE_MAX_ATTEMPTS || '', 10) || 3,
+  deadlineMs: parseInt(process.env.SCRAPE_DEADLINE_MS || '', 10) || 10 * 60 * 1000, // 10 minutes
+  retryDelayMs: 2000, // Multiplied by the attempt number
+  proxyCountries: null
+}
+const MAX_ATTEMPTS_LIMIT = 5
+
+// Retry options for scrapes nobody is waiting on: scheduled runs and watch checks back off after blocks on their own,
+// and a batch entry without a retry budget would otherwise multiply the batch's browser sessions
+const SINGLE_ATTEMPT = { maxAttempts: 1 }
+
+// Failures a fresh session can get past. Capture, schema and parse failures would fail the same way again.
+const RETRYABLE_ERRORS = ['ScraperBlockedError', 'CaptchaTimeoutError', 'BrowserConnectionError']
+
+class RetryOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RetryOptionsError';
+  }
+}
+
+/**
+ * Validate retry options and fill in the defaults
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] Attempts including the first one (1-5, default 3; 1 turns retries off)
+ * @param {number} [options.deadlineMs] Overall time limit: no attempt is started after it, and a running attempt's
+ *   session is cut short when it is reached
+ * @param {number} [options.retryDelayMs] Base delay between attempts
+ * @param {Array<string>} [options.proxyCountries] Proxy countries to rotate through, one per attempt
+ * @returns {Object} Complete retry options
+ */
+function normalizeRetryOptions(options = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new RetryOptionsError('Retry options must be an object')
+  }
+
+  const normalized = { ...DEFAULT_RETRY_OPTIONS }
+  for (const key in options) {
+    if (!(key in DEFAULT_RETRY_OPTIONS)) {
+      throw new RetryOptionsError(`Unknown retry option: ${key}`)
+    }
+    if (options[key] !== undefined) {
+      normalized[key] = options[key]
+    }
+  }
+
+  if (!Number.isInteger(normalized.maxAttempts) || normalized.maxAttempts < 1 || normalized.maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    throw new RetryOptionsError(`maxAttempts must be an integer from 1 to ${MAX_ATTEMPTS_LIMIT}`)
+  }
+  if (!Number.isInteger(normalized.deadlineMs) || normalized.deadlineMs <= 0) {
+    throw new RetryOptionsError('deadlineMs must be a positive integer')
+  }
+  if (!Number.isInteger(normalized.retryDelayMs) || normalized.retryDelayMs < 0) {
+    throw new RetryOptionsError('retryDelayMs must be a non-negative integer')
+  }
+  if (normalized.proxyCountries !== null) {
+    if (!Array.isArray(normalized.proxyCountries) || normalized.proxyCountries.length === 0) {
+      throw new RetryOptionsError('proxyCountries must be a non-empty array of country codes')
+    }
+    for (const proxyCountry of normalized.proxyCountries) {
+      if (typeof proxyCountry !== 'string' || !/^[A-Za-z]{2}$/.test(proxyCountry)) {
+        throw new RetryOptionsError('proxyCountries must contain two-letter country codes')
+      }
+    }
+  }
+
+  return normalized
+}
+
+// Waits between attempts, but gives up as soon as the caller cancels
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new ScrapeCancelledError('Scrape was cancelled'))
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new ScrapeCancelledError('Scrape was cancelled'))
+    }
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, ms)
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+  })
+}
+
+/**
+ * Scrape an event, retrying blocks, captcha timeouts and browser connection failures (RETRYABLE_ERRORS)
+ * in a fresh browser session, optionally with the next proxy country.
+ * When every attempt fails the last error is thrown with the attempt log on error.attempts.
+ * @param {string} url AXS event URL
+ * @param {Object} [options] scrapeAxsTickets options, plus:
+ * @param {Object} [options.retry] Retry options, see normalizeRetryOptions
+ * @param {Function} [options.scrape] Runs one attempt, defaults to scrapeAxsTickets
+ * @returns {Promise<Object>} { tickets, attempts }
+ */
+async function scrapeWithRetry(url, options = {}) {
+  const { retry, browserOptions, signal, onProgress, scrape = scrapeAxsTickets, ...scrapeOptions } = options
+  const { maxAttempts, deadlineMs, retryDelayMs, proxyCountries } = normalizeRetryOptions(retry)
+  const deadline = Date.now() + deadlineMs
+  const attempts = []
+
+  for (let attempt = 1; ; attempt++) {
+    const attemptBrowserOptions = proxyCountries
+      ? { ...browserOptions, proxyCountry: proxyCountries[(attempt - 1) % proxyCountries.length] }
+      : browserOptions
+    const { provider, proxyCountry } = normalizeBrowserOptions(attemptBrowserOptions)
+    const startedAt = new Date()
+
+    const record = (outcome, error) => {
+      attempts.push({
+        attempt,
+        provider,
+        proxyCountry: BROWSER_PROVIDERS[provider].supportsProxyCountry ? proxyCountry : null,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        outcome,
+        errorClass: error ? error.name : null,
+        errorCode: error ? describeError(error).code : null,
+        errorMessage: error ? error.message : null
+      })
+    }
+
+    try {
+      // Every attempt opens its own browser, so each one gets a fresh session, limited to what is left of the deadline
+      const tickets = await scrape(url, {
+        ...scrapeOptions,
+        signal,
+        onProgress,
+        browserOptions: attemptBrowserOptions,
+        maxSessionMs: Math.max(deadline - Date.now(), 1)
+      })
+      record('success')
+      return { tickets, attempts }
+    } catch (error) {
+      record('failed', error)
+
+      const delayMs = retryDelayMs * attempt
+      const cancelled = signal && signal.aborted
+      if (cancelled || !RETRYABLE_ERRORS.includes(error.name) || attempt >= maxAttempts || Date.now() + delayMs >= deadline) {
+        error.attempts = attempts
+        throw error
+      }
+
+      console.log(`Attempt ${attempt}/${maxAttempts} failed with ${error.name}, retrying in ${delayMs}ms...`)
+      if (onProgress) {
+        try {
+          onProgress({ type: 'retrying', timestamp: new Date().toISOString(), attempt, errorClass: error.name, delayMs })
+        } catch (progressError) {
+          console.error('Error in progress callback:', progressError)
+        }
+      }
+
+      try {
+        await sleep(delayMs, signal)
+      } catch (cancelError) {
+        cancelError.attempts = attempts
+        throw cancelError
+      }
+    }
+  }
+}
+
+export { scrapeWithRetry, normalizeRetryOptions, RetryOptionsError, RETRYABLE_ERRORS, SINGLE_ATTEMPT }
@@ -0,0 +1,126 @@
+import { scrapeWithRetry } from './retry.js'
+import { sessionQueue } from './session_queue.js'
+import { isPersistenceEnabled, recordScrapeRun } from './db.js'
+import { getRunChanges } from './history.js'
+import { summarizeSections } from './section_summary.js'
+import { buildSeatMap } from './seat_map.js'
+import { serializeError } from './error_codes.js'
+import { CAPTURE_TARGETS, RESERVED_CAPTURE_NAMES } from './capture_targets.js'
+
+// Storage problems are logged but never fail the scrape itself
+async function persistRun(run) {
+  if (!isPersistenceEnabled()) {
+    return null
+  }
+  try {
+    return await recordScrapeRun(run)
+  } catch (error) {
+    console.error('Error saving scrape run:', error.message)
+    return null
+  }
+}
+
+async function compareWithPreviousRun(runId) {
+  try {
+    const { previousRunId, changes } = await getRunChanges(runId)
+    console.log(`Run ${runId} vs ${previousRunId || 'none'}: ${changes.new.length} new, ${changes.removed.length} removed, ${changes.priceUp.length} price up, ${changes.priceDown.length} price down`)
+    return changes
+  } catch (error) {
+    console.error('Error comparing scrape runs:', error.message)
+    return null
+  }
+}
+
+// Progress callback errors are logged but never fail the scrape itself
+function progressReporter(onProgress) {
+  return (type, data = {}) => {
+    if (!onProgress) {
+      return
+    }
+    try {
+      onProgress({ type, timestamp: new Date().toISOString(), ...data })
+    } catch (progressError) {
+      console.error('Error in progress callback:', progressError)
+    }
+  }
+}
+
+// Responses of the configured extra capture targets, i.e. everything parseAXSTickets doesn't consume
+function extraCaptures(captured) {
+  const captures = {}
+  for (const name in captured) {
+    if (!RESERVED_CAPTURE_NAMES.includes(name) && !CAPTURE_TARGETS.some(target => target.name === name)) {
+      captures[name] = captured[name]
+    }
+  }
+  return captures
+}
+
+async function scrapeAndRecord(url, scrapeOptions, reportProgress) {
+  const startedAt = new Date()
+  let sections = null
+  let seatMap = null
+  let captures = {}
+  let event = null
+  let capturedAt = null
+  try {
+    const { tickets, attempts } = await scrapeWithRetry(url, {
+      ...scrapeOptions,
+      onCapture: captured => {
+        sections = summarizeSections(captured)
+        seatMap = buildSeatMap(captured)
+        captures = extraCaptures(captured)
+        event = captured.event
+        capturedAt = captured.capturedAt
+      }
+    })
+    const run = await persistRun({ url, startedAt, finishedAt: new Date(), tickets, sections })
+    const changes = run ? await compareWithPreviousRun(run.id) : null
+    reportProgress('done', { ticketCount: tickets.length, runId: run ? run.id : null, attempts: attempts.length })
+    return { event, capturedAt, tickets, sections, seatMap, captures, runId: run ? run.id : null, changes, attempts }
+  } catch (error) {
+    await persistRun({ url, startedAt, finishedAt: new Date(), error })
+    throw error
+  }
+}
+
+/**
+ * Scrape an AXS event through the shared session queue.
+ * When persistence is enabled the run is recorded and compared with the event's previous snapshot.
+ * @param {string} url AXS event URL
+ * @param {Object} [options]
+ * @param {Function} [options.onStatus] Receives "queued" and then the scraper's status updates
+ * @param {Function} [options.onQueuePosition] Receives the 1-based queue position, and 0 once a session slot is free
+ * @param {number} [options.queueTimeoutMs] How long to wait for a session slot
+ * @param {AbortSignal} [options.signal] Cancels the scrape whether queued or running
+ * @param {Object} [options.parseOptions] Seat grouping options passed to parseAXSTickets
+ * @param {Object} [options.browserOptions] Browser provider and proxyCountry for this scrape
+ * @param {Object} [options.retry] Retry budget for blocked, captcha and connection failures, see normalizeRetryOptions
+ * @param {Array<Object>} [options.captureTargets] Extra capture targets, see resolveCaptureTargets
+ * @param {Function} [options.onProgress] Receives the scraper's progress events, then "done" or "failed"
+ * @returns {Promise<Object>} { event, capturedAt, tickets, sections, seatMap, captures, runId, changes, attempts }
+ *   (runId and changes are null without persistence). event is the page's event metadata, see buildEventMetadata;
+ *   seatMap is the capture's seat map, see buildSeatMap;
+ *   captures holds the responses of the extra capture targets by name.
+ *   A failure is thrown with its attempt log on error.attempts
+ */
+async function runScrape(url, options = {}) {
+  const { onStatus, onQueuePosition, queueTimeoutMs, signal, parseOptions, onProgress, browserOptions, retry, captureTargets } = options
+  const reportProgress = progressReporter(onProgress)
+
+  if (onStatus) {
+    onStatus('queued')
+  }
+
+  try {
+    return await sessionQueue.run(
+      () => scrapeAndRecord(url, { onStatus, signal, parseOptions, onProgress, browserOptions, retry, captureTargets }, reportProgress),
+      { timeoutMs: queueTimeoutMs, signal, onPosition: onQueuePosition }
+    )
+  } catch (error) {
+    reportProgress('failed', { error: serializeError(error) })
+    throw error
+  }
+}
+
+export { runScrape }
@@ -0,0 +1,228 @@
+import { CronExpressionParser } from 'cron-parser'
+import { getPrisma } from './db.js'
+import { runScrape } from './runner.js'
+import { SINGLE_ATTEMPT } from './retry.js'
+import { validateAxsUrl } from './axs_url.js'
+import { chargeScheduledScrape } from './api_keys.js'
+
+const BLOCK_BACKOFF_BASE_MS = 15 * 60 * 1000; // 15 minutes after the first block, doubling after each one
+const BLOCK_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Errors that mean AXS is pushing back, so the next run should wait longer
+const BACKOFF_ERRORS = ['ScraperBlockedError', 'CaptchaTimeoutError']
+
+class ScheduleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+  }
+}
+
+// Random delay of up to jitterSeconds, so schedules sharing a cadence don't open their sessions at the same moment
+const jitterMs = (schedule) => Math.floor(Math.random() * schedule.jitterSeconds * 1000)
+
+/**
+ * Next run time for a schedule, including jitter.
+ * @param {Object} schedule Schedule record (intervalMinutes or cron, jitterSeconds)
+ * @param {Date} from Time to compute the next run after
+ * @returns {Date}
+ */
+function computeNextRun(schedule, from) {
+  let next
+  if (schedule.cron) {
+    next = CronExpressionParser.parse(schedule.cron, { currentDate: from }).next().toDate()
+  } else {
+    next = new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000)
+  }
+
+  return new Date(next.getTime() + jitterMs(schedule))
+}
+
+/**
+ * Delay imposed after consecutive blocked runs
+ * @param {number} consecutiveBlocks Number of blocked runs in a row
+ * @returns {number} Milliseconds
+ */
+function blockBackoffMs(consecutiveBlocks) {
+  return Math.min(BLOCK_BACKOFF_BASE_MS * 2 ** (consecutiveBlocks - 1), BLOCK_BACKOFF_MAX_MS)
+}
+
+function serializeSchedule(schedule) {
+  return {
+    id: schedule.id,
+    url: schedule.url,
+    intervalMinutes: schedule.intervalMinutes,
+    cron: schedule.cron,
+    jitterSeconds: schedule.jitterSeconds,
+    paused: schedule.paused,
+    nextRunAt: schedule.paused ? null : schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    lastOutcome: schedule.lastOutcome,
+    lastErrorClass: schedule.lastErrorClass,
+    consecutiveBlocks: schedule.consecutiveBlocks,
+    createdAt: schedule.createdAt
+  }
+}
+
+function parseScheduleInput(body) {
+  if (!body || typeof body !== 'object') {
+    throw new ScheduleValidationError('Schedule must be an object')
+  }
+
+  const { url, intervalMinutes, cron, jitterSeconds = 60 } = body
+
+  const urlError = validateAxsUrl(url)
+  if (urlError) {
+    throw new ScheduleValidationError(`url: ${urlError}`)
+  }
+
+  if ((intervalMinutes === undefined) === (cron === undefined)) {
+    throw new ScheduleValidationError('Provide exactly one of intervalMinutes or cron')
+  }
+
+  if (intervalMinutes !== undefined && (!Number.isInteger(intervalMinutes) || intervalMinutes < 1)) {
+    throw new ScheduleValidationError('intervalMinutes must be a positive integer')
+  }
+
+  if (cron !== undefined) {
+    try {
+      CronExpressionParser.parse(cron)
+    } catch (error) {
+      throw new ScheduleValidationError(`Invalid cron expression: ${error.message}`)
+    }
+  }
+
+  if (!Number.isInteger(jitterSeconds) || jitterSeconds < 0) {
+    throw new ScheduleValidationError('jitterSeconds must be a non-negative integer')
+  }
+
+  return {
+    url,
+    intervalMinutes: intervalMinutes === undefined ? null : intervalMinutes,
+    cron: cron === undefined ? null : cron,
+    jitterSeconds
+  }
+}
+
+/**
+ * @param {Object} body { url, intervalMinutes | cron, jitterSeconds }
+ * @param {number|null} apiKeyId Key that owns the schedule and is charged for its scrapes (null for the admin key)
+ * @returns {Promise<Object>} Created schedule
+ */
+async function createSchedule(body, apiKeyId = null) {
+  const data = parseScheduleInput(body)
+  data.apiKeyId = apiKeyId
+  // The first run only waits for the jitter
+  data.nextRunAt = new Date(Date.now() + jitterMs(data))
+
+  const schedule = await getPrisma().schedule.create({ data })
+  return serializeSchedule(schedule)
+}
+
+// owner below is the Prisma `where` filter from ownedBy(client); schedules it excludes are treated as unknown
+
+async function listSchedules(owner = {}) {
+  const schedules = await getPrisma().schedule.findMany({ where: owner, orderBy: { createdAt: 'desc' } })
+  return schedules.map(serializeSchedule)
+}
+
+async function getSchedule(id, owner = {}) {
+  const schedule = await getPrisma().schedule.findFirst({ where: { id, ...owner } })
+  return schedule ? serializeSchedule(schedule) : null
+}
+
+async function pauseSchedule(id, owner = {}) {
+  const db = getPrisma()
+  if (!await db.schedule.findFirst({ where: { id, ...owner } })) {
+    return null
+  }
+  const schedule = await db.schedule.update({ where: { id }, data: { paused: true } })
+  return serializeSchedule(schedule)
+}
+
+async function resumeSchedule(id, owner = {}) {
+  const db = getPrisma()
+  const existing = await db.schedule.findFirst({ where: { id, ...owner } })
+  if (!existing) {
+    return null
+  }
+  const schedule = await db.schedule.update({
+    where: { id },
+    data: { paused: false, nextRunAt: computeNextRun(existing, new Date()) }
+  })
+  return serializeSchedule(schedule)
+}
+
+async function deleteSchedule(id, owner = {}) {
+  const { count } = await getPrisma().schedule.deleteMany({ where: { id, ...owner } })
+  return count > 0
+}
+
+/**
+ * Run a schedule's scrape and plan its next run, backing off after blocks and captcha timeouts.
+ * The scrape is charged to the schedule's key; the run is skipped when that key is revoked or out of quota.
+ * @param {Object} schedule Schedule record
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function runSchedule(schedule) {
+  const startedAt = new Date()
+  let outcome = 'success'
+  let errorClass = null
+
+  if (!await chargeScheduledScrape(schedule.apiKeyId)) {
+    outcome = 'skipped'
+    console.log(`Schedule ${schedule.id} skipped: its API key is revoked or out of quota`)
+  } else {
+    try {
+      const { tickets } = await runScrape(schedule.url, { retry: SINGLE_ATTEMPT })
+      console.log(`Schedule ${schedule.id} scraped ${tickets.length} ticket groups`)
+    } catch (error) {
+      outcome = 'failed'
+      errorClass = error.name
+      console.error(`Schedule ${schedule.id} run failed:`, error.message)
+    }
+  }
+
+  const blocked = BACKOFF_ERRORS.includes(errorClass)
+  const consecutiveBlocks = blocked ? schedule.consecutiveBlocks + 1 : outcome === 'success' ? 0 : schedule.consecutiveBlocks
+
+  let nextRunAt = computeNextRun(schedule, new Date())
+  if (blocked) {
+    const backoffUntil = new Date(Date.now() + blockBackoffMs(consecutiveBlocks))
+    if (backoffUntil > nextRunAt) {
+      nextRunAt = backoffUntil
+    }
+    console.log(`Schedule ${schedule.id} backing off until ${nextRunAt.toISOString()} after ${consecutiveBlocks} blocked run(s)`)
+  }
+
+  // The schedule may have been deleted while it was running
+  const db = getPrisma()
+  const { count } = await db.schedule.updateMany({
+    where: { id: schedule.id },
+    data: { lastRunAt: startedAt, lastOutcome: outcome, lastErrorClass: errorClass, consecutiveBlocks, nextRunAt }
+  })
+  return count > 0 ? db.schedule.findUnique({ where: { id: schedule.id } }) : null
+}
+
+// Run by the shared poller in due_jobs.js
+const scheduleJobs = {
+  name: 'Schedule',
+  listDue: now => getPrisma().schedule.findMany({
+    where: { paused: false, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: 'asc' }
+  }),
+  run: runSchedule
+}
+
+export {
+  computeNextRun,
+  blockBackoffMs,
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  scheduleJobs,
+  ScheduleValidationError
+}
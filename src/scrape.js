@@ -1,8 +1,10 @@
-import puppeteer from "puppeteer-core"
 import fs from 'fs/promises'
 // Import the parsing functions
 import { parseAXSTickets } from './parse_tickets.js'
-import { randomUUID } from "crypto"
+import { openBrowser, BrowserProviderError } from './browser_providers.js'
+import { assertCaptureSchema } from './response_schemas.js'
+import { resolveCaptureTargets, matchCaptureTarget, captureDebugPath, CAPTURE_DEBUG_DIR } from './capture_targets.js'
+import { collectPageMetadata, buildEventMetadata } from './event_metadata.js'
 
 // Custom error classes for better error handling
 class ScraperBlockedError extends Error {
@@ -37,79 +39,196 @@ class DataCaptureError extends Error {
   }
 }
 
-const initBrowser = async () => {
-  try {
-      const query = new URLSearchParams({
-      token: process.env.SCRAPELESS_TOKEN,
-      proxy_country: "US",
-      session_recording: false,
-        session_ttl: 900,
-      session_name: randomUUID(), // Generate unique session name for each request
-      })
+// The captured responses were complete but could not be turned into tickets; a new session would capture the same data
+class TicketParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TicketParseError';
+    this.needsSessionClose = true;
+  }
+}
+
+class ScrapeCancelledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScrapeCancelledError';
+    this.needsSessionClose = true;
+  }
+}
 
-      const connectionURL = `wss://browser.scrapeless.com/browser?${query.toString()}`
+const initBrowser = async (browserOptions) => {
+  // Add timeout handling for the browser connection
+  const browserPromise = openBrowser(browserOptions)
+  let timer
+  let timedOut = false
 
-      console.log("Connecting to browser...")
-      
-      // Add timeout handling for the browser connection
-      const browserPromise = puppeteer.connect({
-        browserWSEndpoint: connectionURL,
-        defaultViewport: null,
-      })
-      
+  try {
     // Add a timeout for browser connection (reduced from 30s to 15s)
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true
         reject(new BrowserConnectionError('Browser connection timeout after 15 seconds'))
       }, 15000)
-      })
-      
-      // Race the connection against the timeout
+    })
+
+    // Race the connection against the timeout
     const browser = await Promise.race([browserPromise, timeoutPromise])
-      console.log("Browser connected successfully")
-    
+    console.log("Browser connected successfully")
+
     return browser
   } catch (error) {
     console.error("Error initializing browser:", error)
-    if (error instanceof BrowserConnectionError) {
+    if (timedOut) {
+      // A browser that connects after the timeout has no owner: close it so it doesn't leak a process or session
+      browserPromise
+        .then(browser => browser.close())
+        .catch(closeError => console.error("Error closing late browser connection:", closeError.message))
+    }
+    // An unknown or unconfigured provider is a configuration problem, not a connection failure worth retrying
+    if (error instanceof BrowserConnectionError || error instanceof BrowserProviderError) {
       throw error;
     }
     throw new BrowserConnectionError(`Browser connection failed: ${error.message}`)
+  } finally {
+    clearTimeout(timer)
   }
 }
 
-// Main scraping function
-async function scrapeAxsTickets(url) {
+/**
+ * Main scraping function
+ * @param {string} url AXS event URL
+ * @param {Object} [options]
+ * @param {Function} [options.onStatus] Called with "connecting", "captcha", "capturing" and "parsing" as the scrape progresses
+ * @param {AbortSignal} [options.signal] Aborting closes the browser session and rejects with ScrapeCancelledError
+ * @param {Object} [options.parseOptions] Seat grouping options passed to parseAXSTickets
+ * @param {Function} [options.onCapture] Called with the captured { url, capturedAt, event, sections, offerSearch, price, ... }
+ *   before parsing: event metadata (see buildEventMetadata) and one key per capture target (null for optional targets that were not seen)
+ * @param {Array<Object>} [options.captureTargets] Extra capture targets, see resolveCaptureTargets
+ * @param {Object} [options.browserOptions] Browser provider and proxyCountry, see normalizeBrowserOptions
+ * @param {number} [options.maxSessionMs] Hard limit on the session, capped at 5 minutes; when it runs out the browser is
+ *   closed and the scrape fails with a session timeout DataCaptureError
+ * @param {Function} [options.onProgress] Called with { type, timestamp, ... } progress events: browser_connected,
+ *   captcha_attempt, captcha_failed, captcha_solved, response_captured, refresh_fallback and parsing
+ * @returns {Promise<Array>} Array of ticket objects
+ */
+async function scrapeAxsTickets(url, options = {}) {
+  const { onStatus, signal, parseOptions, onCapture, onProgress, browserOptions, captureTargets, maxSessionMs } = options
   let browser = null
   let page = null
   const startTime = Date.now();
-  const MAX_SESSION_TIME = 5 * 60 * 1000; // 5 minutes
-  const CAPTCHA_TIMEOUT = 60 * 1000; // 60 seconds
+  const MAX_SESSION_TIME = Math.min(5 * 60 * 1000, maxSessionMs || Infinity); // 5 minutes, or less when the caller has a deadline
+  const CAPTCHA_TIMEOUT = parseInt(process.env.CAPTCHA_TIMEOUT_MS || '', 10) || 60 * 1000; // 60 seconds, shorter against the mock server
+  
+  const sessionTimeoutError = () => new DataCaptureError(`Session timeout: Maximum ${Math.round(MAX_SESSION_TIME / 1000)}s exceeded`)
   
   // Helper function to check if we've exceeded max session time
   const checkSessionTimeout = () => {
     if (Date.now() - startTime > MAX_SESSION_TIME) {
-      throw new DataCaptureError("Session timeout: Maximum 5 minutes exceeded");
+      throw sessionTimeoutError();
+    }
+  };
+  
+  const reportStatus = (status) => {
+    if (!onStatus) {
+      return
+    }
+    try {
+      onStatus(status)
+    } catch (statusError) {
+      console.error("Error in status callback:", statusError)
+    }
+  }
+  
+  const reportProgress = (type, data = {}) => {
+    if (!onProgress) {
+      return
+    }
+    try {
+      onProgress({ type, timestamp: new Date().toISOString(), ...data })
+    } catch (progressError) {
+      console.error("Error in progress callback:", progressError)
+    }
+  }
+  
+  // Target XHR endpoints we want to capture (see capture_targets.js), resolved before the cancel listener and session
+  // timer are installed, so an invalid target list throws without leaving either behind
+  const targetEndpoints = resolveCaptureTargets(captureTargets).map(target => ({ ...target, found: false }))
+  
+  // Rejects as soon as the caller cancels or the session runs out, so pending waits don't hold the session open
+  let rejectCancelled
+  const cancelledPromise = new Promise((_, reject) => {
+    rejectCancelled = reject
+  })
+  cancelledPromise.catch(() => {})
+  
+  const checkCancelled = () => {
+    if (signal && signal.aborted) {
+      throw new ScrapeCancelledError("Scrape was cancelled");
     }
   };
   
+  const onAbort = () => {
+    console.log("Scrape cancelled, closing browser session...")
+    rejectCancelled(new ScrapeCancelledError("Scrape was cancelled"))
+    if (browser) {
+      browser.close().catch(closeError => {
+        console.error("Error closing browser after cancel:", closeError)
+      })
+    }
+  }
+  
+  if (signal) {
+    checkCancelled()
+    signal.addEventListener('abort', onAbort, { once: true })
+  }
+  
+  // The checks above only run between steps, so the session is also ended once its time is up, mid-step if need be
+  let sessionExpired = false
+  const sessionTimer = setTimeout(() => {
+    console.log("Session time is up, closing browser session...")
+    sessionExpired = true
+    rejectCancelled(sessionTimeoutError())
+    if (browser) {
+      browser.close().catch(closeError => {
+        console.error("Error closing browser after session timeout:", closeError)
+      })
+    }
+  }, MAX_SESSION_TIME)
+  
   try {
     // Create new browser instance for this request
-    browser = await initBrowser()
+    reportStatus("connecting")
+    browser = await initBrowser(browserOptions)
+    checkCancelled()
+    reportProgress("browser_connected")
     
     // Create page first
     page = await browser.newPage()
     
-    // Target XHR endpoints we want to capture
-    const targetEndpoints = [
-      { pattern: "/veritix/inventory/V2/*/sections", filename: "sections", found: false },
-      { pattern: "/veritix/inventory/V2/*/offer/search", filename: "offer_search", found: false },
-      { pattern: "/veritix/inventory/v4/*/price", filename: "price", found: false }
-    ]
-    
-    // Store captured responses
+    // Store captured responses, keyed by target name
     const capturedResponses = new Map()
     
+    // Keep the latest response for a target; bodies that aren't JSON are kept as text for the schema check to report
+    const recordCapture = (target, responseText, source) => {
+      try {
+        capturedResponses.set(target.name, JSON.parse(responseText))
+        console.log(`✅ ${source}Captured response for: ${target.name}`)
+      } catch (jsonError) {
+        console.log(`⚠️ ${source}Response for ${target.name} is not valid JSON:`, jsonError.message)
+        capturedResponses.set(target.name, responseText)
+      }
+      if (!target.found) {
+        reportProgress("response_captured", { target: target.name, filename: target.filename, required: target.required })
+      }
+      target.found = true
+      
+      const allCaptured = targetEndpoints.every(endpoint => endpoint.found || !endpoint.required)
+      if (allCaptured) {
+        console.log(`🎯 All required target responses have been captured${source ? ` via ${source.trim()}` : ""}!`)
+        allResponsesResolve()
+      }
+    }
+    
     // DEBUG: Track all inventory-related requests and responses
     const inventoryRequests = []
     const inventoryResponses = new Map()
@@ -118,8 +237,9 @@ async function scrapeAxsTickets(url) {
     const responseHandler = async (response) => {
       const url = response.url()
       const status = response.status()
+      const target = matchCaptureTarget(targetEndpoints, url)
       
-      if (!url.includes('veritix/inventory') || status !== 200) {
+      if ((!target && !url.includes('veritix/inventory')) || status !== 200) {
         return
       }
       
@@ -143,29 +263,8 @@ async function scrapeAxsTickets(url) {
         
         inventoryResponses.set(url, responseText)
         
-        for (const target of targetEndpoints) {
-          const patternParts = target.pattern.split('*')
-          const matches = patternParts.every(part => url.includes(part))
-          
-          if (matches) {
-            try {
-              const responseJson = JSON.parse(responseText)
-              console.log(`✅ Captured response for: ${target.filename}`)
-              capturedResponses.set(target.filename, responseJson)
-              target.found = true
-              
-              const allCaptured = targetEndpoints.every(endpoint => endpoint.found)
-              if (allCaptured) {
-                console.log("🎯 All three target responses have been captured!")
-                allResponsesResolve()
-              }
-            } catch (jsonError) {
-              console.log(`⚠️ Response for ${target.filename} is not valid JSON:`, jsonError.message)
-              capturedResponses.set(target.filename, responseText)
-              target.found = true
-            }
-            break
-          }
+        if (target) {
+          recordCapture(target, responseText, "")
         }
       } catch (responseError) {
         console.error(`⚠️ Error processing response for ${url}:`, responseError.message)
@@ -211,8 +310,9 @@ async function scrapeAxsTickets(url) {
         client.on('Network.responseReceived', async (event) => {
           const { requestId, response } = event;
           const url = response.url;
+          const target = matchCaptureTarget(targetEndpoints, url);
           
-          if (!url.includes('veritix/inventory') || response.status !== 200) {
+          if ((!target && !url.includes('veritix/inventory')) || response.status !== 200) {
             return;
           }
           
@@ -226,31 +326,8 @@ async function scrapeAxsTickets(url) {
             // Store the response
             inventoryResponses.set(url, responseText);
             
-            // Check against target endpoints
-            for (const target of targetEndpoints) {
-              const patternParts = target.pattern.split('*');
-              const matches = patternParts.every(part => url.includes(part));
-              
-              if (matches) {
-                try {
-                  const responseJson = JSON.parse(responseText);
-                  console.log(`✅ CDP Captured response for: ${target.filename}`);
-                  capturedResponses.set(target.filename, responseJson);
-                  target.found = true;
-                  
-                  // Check if all responses are captured
-                  const allCaptured = targetEndpoints.every(endpoint => endpoint.found);
-                  if (allCaptured) {
-                    console.log("🎯 All three target responses have been captured via CDP!");
-                    allResponsesResolve();
-                  }
-                } catch (jsonError) {
-                  console.log(`⚠️ CDP Response for ${target.filename} is not valid JSON:`, jsonError.message);
-                  capturedResponses.set(target.filename, responseText);
-                  target.found = true;
-                }
-                break;
-              }
+            if (target) {
+              recordCapture(target, responseText, "CDP ");
             }
           } catch (err) {
             console.log(`⚠️ CDP Error for ${url}:`, err.message);
@@ -275,13 +352,16 @@ async function scrapeAxsTickets(url) {
     }
     
     // Main retry loop for captcha and data capture
+    reportStatus("captcha")
     let captchaRetries = 0;
     const maxCaptchaRetries = 3;
     
     while (captchaRetries < maxCaptchaRetries) {
       checkSessionTimeout(); // Check before each retry
+      checkCancelled();
       
       console.log(`Captcha attempt ${captchaRetries + 1}/${maxCaptchaRetries}`);
+      reportProgress("captcha_attempt", { attempt: captchaRetries + 1, maxAttempts: maxCaptchaRetries });
       
       // Create a promise to wait for the specific pre-flow request to detect captcha solve
       const preFlowRequestPromise = new Promise(resolve => {
@@ -308,31 +388,37 @@ async function scrapeAxsTickets(url) {
           onCaptchaFinished(captchaPromise, CAPTCHA_TIMEOUT),
           new Promise((_, reject) => 
             setTimeout(() => reject(new Error("Captcha timeout")), CAPTCHA_TIMEOUT)
-          )
+          ),
+          cancelledPromise
       ]);
         console.log("Captcha solved - continuing with data capture");
+        reportProgress("captcha_solved", { attempt: captchaRetries + 1 });
         break; // Exit retry loop if captcha is solved
     } catch (captchaError) {
+        checkCancelled();
         captchaRetries++;
         console.log(`Captcha attempt ${captchaRetries} failed:`, captchaError.message);
+        reportProgress("captcha_failed", { attempt: captchaRetries, message: captchaError.message });
         
-        if (captchaRetries >= maxCaptchaRetries) {
-          throw new CaptchaTimeoutError(`Failed to solve captcha after ${maxCaptchaRetries} attempts`);
-        }
-        
-        // Check for blocking modal before retrying
+        // Check for blocking modal before giving up or retrying, so a block is not reported as a captcha timeout
+        let blocked = false;
         try {
           const blockingModal = await page.$('.modal-header h1#title');
           if (blockingModal) {
             const modalText = await page.evaluate(el => el.textContent, blockingModal);
-            if (modalText.includes('Oh no!')) {
-              console.error("❌ Scraper has been blocked - detected blocking modal");
-              throw new ScraperBlockedError("Scraper has been blocked by AXS");
-            }
+            blocked = modalText.includes('Oh no!');
           }
         } catch (modalError) {
           console.log("Error checking for blocking modal:", modalError.message);
         }
+        if (blocked) {
+          console.error("❌ Scraper has been blocked - detected blocking modal");
+          throw new ScraperBlockedError("Scraper has been blocked by AXS");
+        }
+        
+        if (captchaRetries >= maxCaptchaRetries) {
+          throw new CaptchaTimeoutError(`Failed to solve captcha after ${maxCaptchaRetries} attempts`);
+        }
         
         // Refresh page for next attempt
         console.log("Refreshing page for next captcha attempt...");
@@ -347,6 +433,8 @@ async function scrapeAxsTickets(url) {
     
     // Now try to capture data with remaining time
     checkSessionTimeout();
+    checkCancelled();
+    reportStatus("capturing")
     
     const remainingTime = MAX_SESSION_TIME - (Date.now() - startTime);
     const dataTimeout = Math.max(remainingTime - 5000, 10000); // Leave 5s buffer, minimum 10s
@@ -359,7 +447,8 @@ async function scrapeAxsTickets(url) {
         allResponsesCapturedPromise,
         new Promise((_, reject) => 
           setTimeout(() => reject(new DataCaptureError("Timeout waiting for all responses")), timeoutMs)
-        )
+        ),
+        cancelledPromise
       ])
     }
     
@@ -368,6 +457,7 @@ async function scrapeAxsTickets(url) {
       await captureWithTimeout(10000).catch(async () => {
         console.log("Initial capture failed, trying refresh approach...");
         checkSessionTimeout();
+        checkCancelled();
         
         // Wait for header to load
         await page.waitForSelector(".header", { timeout: 5000 }).catch(err => {
@@ -391,6 +481,7 @@ async function scrapeAxsTickets(url) {
           await page.waitForSelector(".sc-hzyFKJ", { timeout: 3000 })
           await page.click(".sc-hzyFKJ")
           console.log("Refresh button clicked")
+          reportProgress("refresh_fallback", { method: "refresh_button" })
           buttonClicked = true
         } catch (selectorError) {
           console.log("Primary refresh button not found, trying alternative...")
@@ -405,6 +496,7 @@ async function scrapeAxsTickets(url) {
             if (textContent && textContent.toLowerCase().includes('refresh')) {
               await button.click()
               console.log("Found and clicked refresh button by text")
+              reportProgress("refresh_fallback", { method: "refresh_button_text" })
               buttonClicked = true
               break
             }
@@ -413,6 +505,7 @@ async function scrapeAxsTickets(url) {
         
         if (!buttonClicked) {
           console.log("No refresh button found, reloading page...")
+          reportProgress("refresh_fallback", { method: "reload" })
           await page.reload({ waitUntil: "networkidle2" })
         }
         
@@ -425,7 +518,7 @@ async function scrapeAxsTickets(url) {
       
       console.log("✅ Successfully captured all required responses!")
     } catch (timeoutError) {
-      if (timeoutError instanceof DataCaptureError || timeoutError instanceof ScraperBlockedError) {
+      if (timeoutError instanceof DataCaptureError || timeoutError instanceof ScraperBlockedError || timeoutError instanceof ScrapeCancelledError) {
         throw timeoutError;
       }
       throw new DataCaptureError("Failed to capture required data within timeout");
@@ -434,9 +527,13 @@ async function scrapeAxsTickets(url) {
     // Check which responses we captured
     let allCaptured = true
     for (const target of targetEndpoints) {
-      if (!capturedResponses.has(target.filename)) {
-        console.log(`⚠️ Warning: Did not capture response for ${target.filename}`)
-        allCaptured = false
+      if (!capturedResponses.has(target.name)) {
+        if (target.required) {
+          console.log(`⚠️ Warning: Did not capture response for ${target.name}`)
+          allCaptured = false
+        } else {
+          console.log(`ℹ️ Optional response ${target.name} was not captured`)
+        }
       }
     }
     
@@ -444,48 +541,41 @@ async function scrapeAxsTickets(url) {
       throw new DataCaptureError("Failed to capture all required responses");
     }
     
-    // Create return object with the three responses
-    const result = {
-      sections: capturedResponses.get("sections") || null,
-      offerSearch: capturedResponses.get("offer_search") || null,
-      price: capturedResponses.get("price") || null,
-      url: url
+    // Create return object with every target's response, null for optional ones that never arrived
+    const result = { url: url, capturedAt: new Date().toISOString() }
+    for (const target of targetEndpoints) {
+      result[target.name] = capturedResponses.has(target.name) ? capturedResponses.get(target.name) : null
+    }
+    
+    // Event name, venue, date and currency from the page, else from veritix; missing metadata never fails the scrape
+    const veritixResponses = [result.preFlow, result.offerSearch, result.price]
+    try {
+      result.event = buildEventMetadata(await collectPageMetadata(page), url, veritixResponses)
+      console.log(`🎫 Event: ${result.event.name || "unknown"} at ${result.event.venue && result.event.venue.name || "unknown venue"}, ${result.event.startDate || "no date"}`)
+    } catch (metadataError) {
+      console.log("⚠️ Could not read event metadata:", metadataError.message)
+      result.event = buildEventMetadata({}, url, veritixResponses)
     }
     
     // Debug: Log what we have in capturedResponses
     console.log("🔍 Debug - capturedResponses keys:", Array.from(capturedResponses.keys()))
-    console.log("🔍 Debug - result object:", {
-      sections: result.sections ? "✅ Present" : "❌ Missing",
-      offerSearch: result.offerSearch ? "✅ Present" : "❌ Missing", 
-      price: result.price ? "✅ Present" : "❌ Missing"
-    })
+    console.log("🔍 Debug - result object:", Object.fromEntries(
+      targetEndpoints.map(target => [target.name, result[target.name] !== null ? "✅ Present" : "❌ Missing"])
+    ))
     
-    // Save the three responses to separate JSON files for debugging
+    // Save each captured response to its own JSON file for debugging
     console.log("🔍 Starting to save debug files...")
-    console.log("🔍 Current working directory:", process.cwd())
+    console.log("🔍 Debug directory:", CAPTURE_DEBUG_DIR)
     try {
-      if (result.sections) {
-        console.log("🔍 Attempting to save sections.json...")
-        await fs.writeFile('./sections.json', JSON.stringify(result.sections, null, 2))
-        console.log("✅ Saved sections.json")
-      } else {
-        console.log("❌ No sections data to save")
-      }
-      
-      if (result.offerSearch) {
-        console.log("🔍 Attempting to save offer_search.json...")
-        await fs.writeFile('./offer_search.json', JSON.stringify(result.offerSearch, null, 2))
-        console.log("✅ Saved offer_search.json")
-      } else {
-        console.log("❌ No offer_search data to save")
-      }
-      
-      if (result.price) {
-        console.log("🔍 Attempting to save price.json...")
-        await fs.writeFile('./price.json', JSON.stringify(result.price, null, 2))
-        console.log("✅ Saved price.json")
-      } else {
-        console.log("❌ No price data to save")
+      await fs.mkdir(CAPTURE_DEBUG_DIR, { recursive: true })
+      for (const target of targetEndpoints) {
+        if (result[target.name] !== null) {
+          console.log(`🔍 Attempting to save ${target.filename}.json...`)
+          await fs.writeFile(captureDebugPath(target.filename), JSON.stringify(result[target.name], null, 2))
+          console.log(`✅ Saved ${target.filename}.json`)
+        } else {
+          console.log(`❌ No ${target.filename} data to save`)
+        }
       }
     } catch (saveError) {
       console.error("❌ Error saving debug files:", saveError.message)
@@ -494,17 +584,30 @@ async function scrapeAxsTickets(url) {
     
     // If we successfully scraped the data, parse the tickets
     if (result.sections && result.offerSearch && result.price) {
+      checkCancelled()
+      reportStatus("parsing")
+      reportProgress("parsing")
+      
+      // A response that no longer matches its schema fails as SchemaDriftError, not as a parse failure
+      assertCaptureSchema(result)
+      console.log("✅ Captured responses match the expected schema")
+
       console.log("Parsing ticket data...")
       try {
+        if (onCapture) {
+          try {
+            onCapture(result)
+          } catch (captureError) {
+            console.error("Error in capture callback:", captureError)
+          }
+        }
+
         // Parse the tickets directly using the captured data
-        const tickets = await parseAXSTickets({
-          sections: result.sections,
-          offerSearch: result.offerSearch,
-          price: result.price,
-          url: url
-        })
+        const tickets = await parseAXSTickets(result, parseOptions)
 
-        fs.writeFile('tickets.json', JSON.stringify(tickets, null, 2))
+        fs.writeFile(captureDebugPath('tickets'), JSON.stringify(tickets, null, 2)).catch(saveError => {
+          console.error("❌ Error saving tickets.json:", saveError.message)
+        })
         
         console.log(`✅ Successfully scraped ${tickets.length} ticket groups in ${Math.round((Date.now() - startTime)/1000)}s`);
         
@@ -513,13 +616,20 @@ async function scrapeAxsTickets(url) {
         
       } catch (parseError) {
         console.error("Error parsing ticket data:", parseError)
-        throw new DataCaptureError(`Failed to parse ticket data: ${parseError.message}`)
+        throw new TicketParseError(`Failed to parse ticket data: ${parseError.message}`)
       }
     } else {
       throw new DataCaptureError("Failed to capture all required data")
     }
     
   } catch (error) {
+    // Errors thrown by a browser closed on cancel are reported as the cancellation itself
+    if (signal && signal.aborted && !(error instanceof ScrapeCancelledError)) {
+      error = new ScrapeCancelledError("Scrape was cancelled")
+    } else if (sessionExpired && !(error instanceof DataCaptureError && error.message.startsWith("Session timeout"))) {
+      error = sessionTimeoutError()
+    }
+    
     console.error("Main error:", error)
     
     // Determine if we need to close the session based on error type
@@ -537,6 +647,11 @@ async function scrapeAxsTickets(url) {
     
     throw error;
   } finally {
+    clearTimeout(sessionTimer)
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+    }
+    
     // Clean up resources
     if (page) {
       try {
@@ -592,8 +707,16 @@ async function onCaptchaFinished(promise, timeout = 60000) {
   }
 }
 
-// Export the main scraping function
-export { scrapeAxsTickets };
+// Export the main scraping function and its error classes
+export {
+  scrapeAxsTickets,
+  ScraperBlockedError,
+  CaptchaTimeoutError,
+  BrowserConnectionError,
+  DataCaptureError,
+  TicketParseError,
+  ScrapeCancelledError
+};
 
 // Example usage
 async function runExample() {
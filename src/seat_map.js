@@ -0,0 +1,316 @@
+import { getConnectionFee, getSeatCategory, centsToDollars } from './parse_tickets.js'
+import { compareLabels, isStageLabel, listedSections } from './section_summary.js'
+
+// Sections whose seat areas are closer than this fraction of the map's diagonal count as adjacent
+const ADJACENCY_TOLERANCE = 0.05
+
+// How much the section, the row and the position within the row weigh in a listing's seat score
+const RANKING_WEIGHTS = { section: 0.4, row: 0.4, center: 0.2 }
+
+// Alphabetic rows run A..Z, AA..ZZ, so shorter labels come first; anything else sorts naturally
+function compareRowLabels(a, b) {
+  if (/^[A-Z]+$/i.test(a) && /^[A-Z]+$/i.test(b) && a.length !== b.length) {
+    return a.length - b.length
+  }
+  return compareLabels(a, b)
+}
+
+// Row number counted from the front: A=1 .. Z=26, AA=27, ...; numeric rows are their own number. null for other labels
+function rowNumberFromLabel(label) {
+  const text = String(label).trim()
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) || null
+  }
+  if (/^[A-Z]+$/i.test(text)) {
+    return [...text.toUpperCase()].reduce((number, char) => number * 26 + char.charCodeAt(0) - 64, 0)
+  }
+  return null
+}
+
+// Full row order of a section from the sections response, when it lists rows: [{ rowID | id, label | rowLabel }] or a map keyed by label
+function listedRows(sectionData) {
+  const rows = sectionData && sectionData.rows
+  if (Array.isArray(rows)) {
+    return rows.map(row => row && typeof row === 'object'
+      ? { rowID: row.rowID !== undefined ? row.rowID : row.id, label: row.label !== undefined ? row.label : row.rowLabel }
+      : { rowID: null, label: row })
+  }
+  if (rows && typeof rows === 'object') {
+    return Object.keys(rows).map(label => ({ rowID: rows[label] && rows[label].rowID, label }))
+  }
+  return null
+}
+
+// Seating level of a section label: named sections (FLR A, PIT, GA) and numbers below 100 are the floor (0), 101-199 level 1, ...
+function sectionLevel(label) {
+  const text = String(label).trim()
+  return /^\d+$/.test(text) ? Math.floor(parseInt(text, 10) / 100) : 0
+}
+
+// AXS only sometimes includes positions, as x/y on the object itself or under coordinates, position or center
+function readPoint(source) {
+  if (!source || typeof source !== 'object') {
+    return null
+  }
+  for (const candidate of [source, source.coordinates, source.position, source.center]) {
+    if (candidate && typeof candidate.x === 'number' && typeof candidate.y === 'number') {
+      return { x: candidate.x, y: candidate.y }
+    }
+  }
+  return null
+}
+
+function boundsOf(points) {
+  if (points.length === 0) {
+    return null
+  }
+  return {
+    minX: Math.min(...points.map(point => point.x)),
+    minY: Math.min(...points.map(point => point.y)),
+    maxX: Math.max(...points.map(point => point.x)),
+    maxY: Math.max(...points.map(point => point.y))
+  }
+}
+
+// Distance between two bounding boxes, 0 when they overlap
+function boundsGap(a, b) {
+  const dx = Math.max(a.minX - b.maxX, b.minX - a.maxX, 0)
+  const dy = Math.max(a.minY - b.maxY, b.minY - a.maxY, 0)
+  return Math.hypot(dx, dy)
+}
+
+// Without coordinates, numbered sections on the same level (101, 102, ...) are taken to be side by side
+function adjacentByLabel(a, b) {
+  if (!/^\d+$/.test(a) || !/^\d+$/.test(b)) {
+    return false
+  }
+  const [first, second] = [parseInt(a, 10), parseInt(b, 10)]
+  return Math.floor(first / 100) === Math.floor(second / 100) && Math.abs(first - second) === 1
+}
+
+function sectionAdjacency(sections) {
+  const located = sections.filter(section => section.bounds)
+  const useCoordinates = located.length > 1
+  const adjacency = {}
+  for (const section of sections) {
+    adjacency[section.section] = []
+  }
+
+  let tolerance = 0
+  if (useCoordinates) {
+    const map = boundsOf(located.flatMap(section => [
+      { x: section.bounds.minX, y: section.bounds.minY },
+      { x: section.bounds.maxX, y: section.bounds.maxY }
+    ]))
+    tolerance = Math.hypot(map.maxX - map.minX, map.maxY - map.minY) * ADJACENCY_TOLERANCE
+  }
+
+  for (let i = 0; i < sections.length; i++) {
+    for (let j = i + 1; j < sections.length; j++) {
+      const [a, b] = [sections[i], sections[j]]
+      const adjacent = useCoordinates
+        ? Boolean(a.bounds && b.bounds && boundsGap(a.bounds, b.bounds) <= tolerance)
+        : adjacentByLabel(a.section, b.section)
+      if (adjacent) {
+        adjacency[a.section].push(b.section)
+        adjacency[b.section].push(a.section)
+      }
+    }
+  }
+
+  return { basis: useCoordinates ? 'coordinates' : 'labels', sections: adjacency }
+}
+
+/**
+ * Sections, rows and available seats of a capture in display order, with coordinates when AXS provides them.
+ * Rows are sorted front to back and seats follow displayOrder. A row's rowNumber is its place in the section's full row
+ * order (1 is the front row, whether or not it has inventory): from the sections response when it lists the rows,
+ * otherwise from the row label (A=1, B=2, ..., or the number of a numeric row).
+ * A sections response entry labelled STAGE is taken as the stage position rather than a section.
+ * @param {Object} axsResults Object containing sections, offerSearch and price data
+ * @returns {Object} { hasCoordinates, stage, sections, adjacency }
+ *   stage: { x, y } or null
+ *   sections: [{ section, sectionID, level, position, bounds, connectionFee, availableSeats, rowCount,
+ *     rows: [{ row, rowID, rowNumber, availableSeats, seats: [{ number, seatId, displayOrder, priceLevelId, category, position }] }] }]
+ *   level is 0 for the floor, 1 for the 100s and so on; rowCount is the section's number of rows when the sections
+ *   response lists them, else null. rowNumber is null when neither source places the row.
+ *   position is { x, y } or null; bounds is { minX, minY, maxX, maxY } of the section's seats, or of its own position.
+ *   adjacency: { basis: 'coordinates' | 'labels', sections: { [section]: [neighbouring sections] } }
+ */
+function buildSeatMap(axsResults) {
+  const sectionsData = axsResults.sections && typeof axsResults.sections === 'object' && !Array.isArray(axsResults.sections)
+    ? axsResults.sections
+    : {}
+  const stageLabel = Object.keys(sectionsData).find(isStageLabel)
+  const stage = stageLabel ? readPoint(sectionsData[stageLabel]) : null
+
+  const sections = new Map()
+  const getSection = (sectionLabel) => {
+    if (!sections.has(sectionLabel)) {
+      sections.set(sectionLabel, {
+        section: sectionLabel,
+        sectionID: null,
+        position: readPoint(sectionsData[sectionLabel]),
+        rows: new Map()
+      })
+    }
+    return sections.get(sectionLabel)
+  }
+
+  // Sections listed in the sections response show up even when they have no inventory
+  for (const sectionLabel of listedSections(axsResults)) {
+    getSection(sectionLabel)
+  }
+
+  const offers = (axsResults.offerSearch && axsResults.offerSearch.offers) || []
+  for (const offer of offers) {
+    for (const item of offer.items || []) {
+      const section = getSection(item.sectionLabel)
+      section.sectionID = section.sectionID || item.sectionID
+
+      if (!section.rows.has(item.rowLabel)) {
+        section.rows.set(item.rowLabel, { row: item.rowLabel, rowID: item.rowID, seats: [] })
+      }
+      section.rows.get(item.rowLabel).seats.push({
+        number: parseInt(item.number),
+        seatId: item.id,
+        displayOrder: typeof item.displayOrder === 'number' ? item.displayOrder : null,
+        priceLevelId: item.priceLevelID,
+        category: getSeatCategory(offer, item),
+        position: readPoint(item)
+      })
+    }
+  }
+
+  const seatOrder = (seat) => seat.displayOrder !== null ? seat.displayOrder : seat.number
+
+  const mapped = [...sections.values()]
+    .sort((a, b) => compareLabels(a.section, b.section))
+    .map(section => {
+      const listed = listedRows(sectionsData[section.section])
+      const rowNumber = (row) => {
+        const index = listed
+          ? listed.findIndex(entry => (entry.rowID !== null && entry.rowID !== undefined && String(entry.rowID) === String(row.rowID)) ||
+            String(entry.label) === String(row.row))
+          : -1
+        return index >= 0 ? index + 1 : rowNumberFromLabel(row.row)
+      }
+
+      const rows = [...section.rows.values()]
+        .map(row => ({
+          row: row.row,
+          rowID: row.rowID,
+          rowNumber: rowNumber(row),
+          availableSeats: row.seats.length,
+          seats: row.seats.sort((a, b) => seatOrder(a) - seatOrder(b))
+        }))
+        .sort((a, b) => a.rowNumber !== null && b.rowNumber !== null
+          ? a.rowNumber - b.rowNumber
+          : compareRowLabels(String(a.row), String(b.row)))
+
+      const seatPositions = rows.flatMap(row => row.seats.map(seat => seat.position).filter(Boolean))
+      const bounds = boundsOf(seatPositions.length > 0 ? seatPositions : [section.position].filter(Boolean))
+      const position = section.position || (bounds ? { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 } : null)
+
+      return {
+        section: section.section,
+        sectionID: section.sectionID,
+        level: sectionLevel(section.section),
+        position,
+        bounds,
+        connectionFee: centsToDollars(getConnectionFee(axsResults, section.section)),
+        availableSeats: rows.reduce((total, row) => total + row.availableSeats, 0),
+        rowCount: listed ? listed.length : null,
+        rows
+      }
+    })
+
+  return {
+    hasCoordinates: mapped.some(section => section.bounds),
+    stage,
+    sections: mapped,
+    adjacency: sectionAdjacency(mapped)
+  }
+}
+
+// 1 for the best value, 0 for the worst, 1 for everything when all values are equal
+const closeness = (value, best, worst) => worst !== best ? 1 - (value - best) / (worst - best) : 1
+
+/**
+ * Order listings best seat first. The seat score (0-100) combines:
+ * - section: distance from the stage when the seat map has the stage and section positions, else the section's level
+ *   (floor, 100s, 200s, ...), both relative to the other sections in the map;
+ * - row: the row's place in its section's full row order, against the section's row count when the sections response
+ *   lists the rows, else against the deepest row in the map, so row C scores the same in every section;
+ * - center: how close the seats are to the middle of the row's available seats.
+ * Ties go to the cheaper listing.
+ * @param {Array} tickets Tickets from parseAXSTickets
+ * @param {Object} seatMap Seat map of the same capture, from buildSeatMap
+ * @returns {Array} Tickets with seatScore, sectionLevel and rowNumber added, best first
+ *   (all three are null for seats missing from the map; rowNumber is also null for rows the map can't place)
+ */
+function rankListings(tickets, seatMap) {
+  const sectionsByLabel = new Map(seatMap.sections.map(section => [
+    String(section.section),
+    { section, rows: new Map(section.rows.map(row => [String(row.row), row])) }
+  ]))
+
+  const stageDistance = (section) => seatMap.stage && section.position
+    ? Math.hypot(section.position.x - seatMap.stage.x, section.position.y - seatMap.stage.y)
+    : null
+  const distances = seatMap.sections.map(stageDistance).filter(distance => distance !== null)
+  const byDistance = seatMap.stage && distances.length > 1
+  const levels = seatMap.sections.map(section => section.level)
+  const sectionScore = (section) => byDistance
+    ? (stageDistance(section) === null ? 0 : closeness(stageDistance(section), Math.min(...distances), Math.max(...distances)))
+    : closeness(section.level, Math.min(...levels), Math.max(...levels))
+
+  const deepestRow = Math.max(1, ...seatMap.sections.flatMap(section => section.rows.map(row => row.rowNumber || 1)))
+  const rowScore = (section, row) => {
+    if (row.rowNumber === null) {
+      return 0
+    }
+    return closeness(row.rowNumber, 1, Math.max(section.rowCount || deepestRow, row.rowNumber))
+  }
+
+  const scored = tickets.map(ticket => {
+    const entry = sectionsByLabel.get(String(ticket.section))
+    const row = entry && entry.rows.get(String(ticket.row))
+    if (!row) {
+      return { ...ticket, seatScore: null, sectionLevel: null, rowNumber: null }
+    }
+
+    // Middle of the row's available seats, in display order
+    const orders = row.seats.map(seat => seat.displayOrder !== null ? seat.displayOrder : seat.number)
+    const first = Math.min(...orders)
+    const last = Math.max(...orders)
+    const numbers = String(ticket.seats).split(',').map(number => parseInt(number, 10))
+    const listingOrders = row.seats
+      .filter(seat => numbers.includes(seat.number))
+      .map(seat => seat.displayOrder !== null ? seat.displayOrder : seat.number)
+    const listingMiddle = listingOrders.length > 0
+      ? listingOrders.reduce((total, order) => total + order, 0) / listingOrders.length
+      : (first + last) / 2
+    const centerScore = last > first ? 1 - Math.abs(listingMiddle - (first + last) / 2) / ((last - first) / 2) : 1
+
+    const score = RANKING_WEIGHTS.section * sectionScore(entry.section) +
+      RANKING_WEIGHTS.row * rowScore(entry.section, row) +
+      RANKING_WEIGHTS.center * centerScore
+
+    return {
+      ...ticket,
+      seatScore: Math.round(100 * score),
+      sectionLevel: entry.section.level,
+      rowNumber: row.rowNumber
+    }
+  })
+
+  return scored.sort((a, b) => {
+    if (a.seatScore !== b.seatScore) {
+      return (b.seatScore === null ? -1 : b.seatScore) - (a.seatScore === null ? -1 : a.seatScore)
+    }
+    return a.cost - b.cost
+  })
+}
+
+export { buildSeatMap, rankListings }
@@ -0,0 +1,114 @@
+import {
+  buildPriceLevelsMap,
+  calculateSeatPricing,
+  getConnectionFee,
+  getSeatCategory,
+  centsToDollars
+} from './parse_tickets.js'
+import { buildFeeMap, buildTaxMap } from './fee_engine.js'
+import { median } from './stats.js'
+
+// Section labels are usually numeric ("101"), but fall back to natural string order ("FLR A")
+const compareLabels = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })
+
+// The sections response may have an entry for the stage, which marks its position rather than a section with seats
+const isStageLabel = (label) => /^stage$/i.test(String(label).trim())
+
+/**
+ * Sections listed in a capture's sections response (the STAGE entry excluded), with or without inventory
+ * @param {Object} axsResults Object containing sections, offerSearch and price data
+ * @returns {Array<string>} Section labels, in response order
+ */
+function listedSections(axsResults) {
+  const sections = axsResults.sections
+  if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+    return []
+  }
+  return Object.keys(sections).filter(label => !isStageLabel(label) && sections[label] && typeof sections[label] === 'object')
+}
+
+function emptySummary(sectionLabel, connectionFee) {
+  return {
+    section: sectionLabel,
+    sectionID: null,
+    availableSeats: 0,
+    rows: new Set(),
+    priceLevels: new Map(),
+    costs: [],
+    dynamicPricedSeats: 0,
+    seatsByCategory: {},
+    connectionFee: centsToDollars(connectionFee)
+  }
+}
+
+/**
+ * Per-section summary of the available inventory in a capture.
+ * Every available seat is counted, whatever its category; costs are per seat and include the connection fee.
+ * @param {Object} axsResults Object containing sections, offerSearch and price data
+ * @returns {Array} Sections { section, sectionID, availableSeats, rowsWithInventory, priceLevels, cost, dynamicPricedSeats, seatsByCategory, connectionFee }
+ */
+function summarizeSections(axsResults) {
+  const priceLevelsMap = buildPriceLevelsMap(axsResults)
+  const feeMap = buildFeeMap(axsResults.price)
+  const taxMap = buildTaxMap(axsResults.price)
+
+  const summaries = new Map()
+  const getSummary = (sectionLabel) => {
+    if (!summaries.has(sectionLabel)) {
+      summaries.set(sectionLabel, emptySummary(sectionLabel, getConnectionFee(axsResults, sectionLabel)))
+    }
+    return summaries.get(sectionLabel)
+  }
+
+  // Sections listed in the sections response show up even when they have no inventory
+  for (const sectionLabel of listedSections(axsResults)) {
+    getSummary(sectionLabel)
+  }
+
+  const offers = (axsResults.offerSearch && axsResults.offerSearch.offers) || []
+  for (const offer of offers) {
+    for (const item of offer.items || []) {
+      const summary = getSummary(item.sectionLabel)
+      const category = getSeatCategory(offer, item)
+
+      summary.sectionID = summary.sectionID || item.sectionID
+      summary.availableSeats++
+      summary.rows.add(item.rowLabel)
+      summary.seatsByCategory[category] = (summary.seatsByCategory[category] || 0) + 1
+
+      const priceLevelData = priceLevelsMap[item.priceLevelID]
+      if (!priceLevelData) {
+        continue
+      }
+
+      summary.priceLevels.set(item.priceLevelID, priceLevelData.label || null)
+
+      const seatPricing = calculateSeatPricing(priceLevelData, item.sectionID, item.rowID, item.id, feeMap, taxMap)
+      summary.costs.push(centsToDollars(seatPricing.websiteDisplayPrice + getConnectionFee(axsResults, item.sectionLabel)))
+      if (seatPricing.isDynamicPricing) {
+        summary.dynamicPricedSeats++
+      }
+    }
+  }
+
+  return [...summaries.values()]
+    .sort((a, b) => compareLabels(a.section, b.section))
+    .map(summary => {
+      const costs = summary.costs.sort((a, b) => a - b)
+      return {
+        section: summary.section,
+        sectionID: summary.sectionID,
+        availableSeats: summary.availableSeats,
+        rowsWithInventory: summary.rows.size,
+        priceLevels: [...summary.priceLevels].map(([priceLevelId, label]) => ({ priceLevelId, label })),
+        cost: costs.length > 0
+          ? { min: costs[0], median: median(costs), max: costs[costs.length - 1] }
+          : null,
+        dynamicPricedSeats: summary.dynamicPricedSeats,
+        seatsByCategory: summary.seatsByCategory,
+        connectionFee: summary.connectionFee
+      }
+    })
+}
+
+export { summarizeSections, compareLabels, isStageLabel, listedSections }
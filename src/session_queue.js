@@ -0,0 +1,141 @@
+import { ScrapeCancelledError } from './scrape.js'
+
+class QueueTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueTimeoutError';
+    this.needsSessionClose = false; // Session was never opened
+  }
+}
+
+/**
+ * FIFO scheduler that caps the number of concurrently running browser sessions.
+ * @param {Object} options
+ * @param {number} options.maxConcurrent Maximum number of tasks running at once
+ * @param {number} options.queueTimeoutMs Default time a task may wait for a slot before failing
+ * @returns {Object} Queue with run() and stats()
+ */
+function createSessionQueue({ maxConcurrent, queueTimeoutMs }) {
+  let active = 0
+  const waiting = []
+
+  const notifyPositions = () => {
+    waiting.forEach((entry, index) => entry.reportPosition(index + 1))
+  }
+
+  const removeEntry = (entry) => {
+    const index = waiting.indexOf(entry)
+    if (index === -1) {
+      return false
+    }
+    waiting.splice(index, 1)
+    notifyPositions()
+    return true
+  }
+
+  const next = () => {
+    while (active < maxConcurrent && waiting.length > 0) {
+      const entry = waiting.shift()
+      entry.start()
+    }
+    notifyPositions()
+  }
+
+  /**
+   * Run a task once a session slot is free.
+   * @param {Function} task Async function that opens and uses a browser session
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] Queue timeout for this task (defaults to the queue's)
+   * @param {AbortSignal} [options.signal] Aborting removes the task from the queue
+   * @param {Function} [options.onPosition] Called with the 1-based queue position, and 0 once the task starts
+   * @returns {Promise<*>} Result of the task
+   */
+  const run = (task, options = {}) => {
+    const { timeoutMs = queueTimeoutMs, signal, onPosition } = options
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new ScrapeCancelledError('Scrape was cancelled'))
+        return
+      }
+
+      let timer = null
+      let lastPosition = null
+
+      const entry = {
+        reportPosition: (position) => {
+          if (position === lastPosition || !onPosition) {
+            return
+          }
+          lastPosition = position
+          try {
+            onPosition(position)
+          } catch (positionError) {
+            console.error('Error in queue position callback:', positionError)
+          }
+        },
+        start: () => {
+          clearTimeout(timer)
+          if (signal) {
+            signal.removeEventListener('abort', onAbort)
+          }
+          active++
+          entry.reportPosition(0)
+
+          Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+              active--
+              next()
+            })
+        }
+      }
+
+      const onAbort = () => {
+        if (removeEntry(entry)) {
+          clearTimeout(timer)
+          reject(new ScrapeCancelledError('Scrape was cancelled'))
+        }
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true })
+      }
+
+      waiting.push(entry)
+
+      if (active < maxConcurrent) {
+        next()
+        return
+      }
+
+      timer = setTimeout(() => {
+        if (removeEntry(entry)) {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort)
+          }
+          reject(new QueueTimeoutError(`No browser session became available within ${Math.round(timeoutMs / 1000)}s`))
+        }
+      }, timeoutMs)
+
+      notifyPositions()
+    })
+  }
+
+  const stats = () => ({
+    active,
+    queued: waiting.length,
+    maxConcurrent
+  })
+
+  return { run, stats }
+}
+
+// Shared queue for every scrape made by this process
+const sessionQueue = createSessionQueue({
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SESSIONS || '', 10) || 3,
+  queueTimeoutMs: parseInt(process.env.QUEUE_TIMEOUT_MS || '', 10) || 2 * 60 * 1000 // 2 minutes
+})
+
+export { createSessionQueue, sessionQueue, QueueTimeoutError }
@@ -0,0 +1,13 @@
+/**
+ * @param {Array<number>} sortedValues Values in ascending order
+ * @returns {number} Median, rounded to cents when averaged
+ */
+function median(sortedValues) {
+  const middle = Math.floor(sortedValues.length / 2)
+  if (sortedValues.length % 2 === 1) {
+    return sortedValues[middle]
+  }
+  return parseFloat(((sortedValues[middle - 1] + sortedValues[middle]) / 2).toFixed(2))
+}
+
+export { median }
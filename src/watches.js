@@ -0,0 +1,332 @@
+import { randomBytes } from 'crypto'
+import { getPrisma } from './db.js'
+import { runScrape } from './runner.js'
+import { SINGLE_ATTEMPT } from './retry.js'
+import { listingKey } from './history.js'
+import { enqueueDelivery, validateWebhookUrl, assertPublicHost } from './webhooks.js'
+import { validateAxsUrl } from './axs_url.js'
+import { chargeScheduledScrape } from './api_keys.js'
+import { compareLabels } from './section_summary.js'
+
+class WatchValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchValidationError';
+  }
+}
+
+/**
+ * Whether a ticket satisfies a watch rule's section, quantity and cost filters
+ * @param {Object} watch Watch record
+ * @param {Object} ticket Ticket object
+ * @returns {boolean}
+ */
+function matchesWatch(watch, ticket) {
+  if (watch.sections) {
+    const sections = watch.sections.split(',')
+    if (!sections.includes(String(ticket.section))) {
+      return false
+    }
+  }
+
+  if (watch.sectionFrom && compareLabels(ticket.section, watch.sectionFrom) < 0) {
+    return false
+  }
+
+  if (watch.sectionTo && compareLabels(ticket.section, watch.sectionTo) > 0) {
+    return false
+  }
+
+  if (ticket.quantity < watch.minQuantity) {
+    return false
+  }
+
+  if (typeof watch.maxCost === 'number' && ticket.cost > watch.maxCost) {
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Find matching tickets that are new since the last notification or have dropped in price.
+ * @param {Object} watch Watch record (lastMatches holds listing key -> notified cost)
+ * @param {Array} tickets Ticket objects from the latest scrape
+ * @returns {{ notify: Array, lastMatches: Object }} Tickets to notify about and the new match state
+ */
+function evaluateWatch(watch, tickets) {
+  const previous = watch.lastMatches || {}
+  const lastMatches = {}
+  const notify = []
+
+  for (const ticket of tickets) {
+    if (!matchesWatch(watch, ticket)) {
+      continue
+    }
+
+    const key = listingKey(ticket)
+    lastMatches[key] = ticket.cost
+
+    if (!(key in previous)) {
+      notify.push({ ...ticket, reason: 'new' })
+    } else if (ticket.cost < previous[key]) {
+      notify.push({ ...ticket, reason: 'price_down', previousCost: previous[key] })
+    }
+  }
+
+  return { notify, lastMatches }
+}
+
+function serializeWatch(watch, { includeSecret = false } = {}) {
+  const serialized = {
+    id: watch.id,
+    url: watch.url,
+    sections: watch.sections ? watch.sections.split(',') : null,
+    sectionRange: watch.sectionFrom || watch.sectionTo ? { from: watch.sectionFrom, to: watch.sectionTo } : null,
+    minQuantity: watch.minQuantity,
+    maxCost: watch.maxCost,
+    webhookUrl: watch.webhookUrl,
+    intervalMinutes: watch.intervalMinutes,
+    active: watch.active,
+    lastCheckedAt: watch.lastCheckedAt,
+    createdAt: watch.createdAt
+  }
+  if (includeSecret) {
+    serialized.secret = watch.secret
+  }
+  return serialized
+}
+
+/**
+ * Validate a watch request body into Prisma data. Only fields present in the body are returned.
+ * @param {Object} body Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] Allow required fields to be missing (updates)
+ * @returns {Object} Watch data
+ */
+function parseWatchInput(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') {
+    throw new WatchValidationError('Watch must be an object')
+  }
+
+  const data = {}
+
+  if (body.url !== undefined || !partial) {
+    const urlError = validateAxsUrl(body.url)
+    if (urlError) {
+      throw new WatchValidationError(`url: ${urlError}`)
+    }
+    data.url = body.url
+  }
+
+  if (body.webhookUrl !== undefined || !partial) {
+    const webhookUrlError = validateWebhookUrl(body.webhookUrl)
+    if (webhookUrlError) {
+      throw new WatchValidationError(webhookUrlError)
+    }
+    data.webhookUrl = new URL(body.webhookUrl).toString()
+  }
+
+  if (body.sections !== undefined) {
+    if (body.sections !== null && (!Array.isArray(body.sections) || body.sections.length === 0)) {
+      throw new WatchValidationError('sections must be a non-empty array of section labels')
+    }
+    data.sections = body.sections ? body.sections.map(String).join(',') : null
+  }
+
+  if (body.sectionRange !== undefined) {
+    const range = body.sectionRange || {}
+    if (body.sectionRange !== null && range.from === undefined && range.to === undefined) {
+      throw new WatchValidationError('sectionRange needs from and/or to')
+    }
+    data.sectionFrom = range.from !== undefined ? String(range.from) : null
+    data.sectionTo = range.to !== undefined ? String(range.to) : null
+  }
+
+  if (body.minQuantity !== undefined) {
+    if (!Number.isInteger(body.minQuantity) || body.minQuantity < 1) {
+      throw new WatchValidationError('minQuantity must be a positive integer')
+    }
+    data.minQuantity = body.minQuantity
+  }
+
+  if (body.maxCost !== undefined) {
+    if (body.maxCost !== null && (typeof body.maxCost !== 'number' || body.maxCost <= 0)) {
+      throw new WatchValidationError('maxCost must be a positive number')
+    }
+    data.maxCost = body.maxCost
+  }
+
+  if (body.intervalMinutes !== undefined) {
+    if (!Number.isInteger(body.intervalMinutes) || body.intervalMinutes < 1) {
+      throw new WatchValidationError('intervalMinutes must be a positive integer')
+    }
+    data.intervalMinutes = body.intervalMinutes
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      throw new WatchValidationError('active must be a boolean')
+    }
+    data.active = body.active
+  }
+
+  return data
+}
+
+// Deliveries check the resolved addresses again, since DNS can change after the watch is saved
+async function checkWebhookHost(data) {
+  if (data.webhookUrl === undefined) {
+    return
+  }
+  try {
+    await assertPublicHost(new URL(data.webhookUrl).hostname)
+  } catch (error) {
+    throw new WatchValidationError(error.message)
+  }
+}
+
+/**
+ * @param {Object} body Watch definition
+ * @param {number|null} apiKeyId Key that owns the watch and is charged for its scrapes (null for the admin key)
+ * @returns {Promise<Object>} Created watch, including its signing secret
+ */
+async function createWatch(body, apiKeyId = null) {
+  const data = parseWatchInput(body)
+  await checkWebhookHost(data)
+  data.apiKeyId = apiKeyId
+  data.secret = typeof body.secret === 'string' && body.secret.length >= 16
+    ? body.secret
+    : randomBytes(32).toString('hex')
+
+  const watch = await getPrisma().watch.create({ data })
+  return serializeWatch(watch, { includeSecret: true })
+}
+
+// owner below is the Prisma `where` filter from ownedBy(client); watches it excludes are treated as unknown
+
+async function listWatches(owner = {}) {
+  const watches = await getPrisma().watch.findMany({ where: owner, orderBy: { createdAt: 'desc' } })
+  return watches.map(watch => serializeWatch(watch))
+}
+
+async function getWatch(id, owner = {}) {
+  const watch = await getPrisma().watch.findFirst({ where: { id, ...owner } })
+  return watch ? serializeWatch(watch) : null
+}
+
+/**
+ * @param {number} id Watch ID
+ * @param {Object} body Fields to change
+ * @param {Object} [owner] Prisma `where` filter from ownedBy(client), limiting the watches the caller may change
+ * @returns {Promise<Object|null>} Updated watch, or null if unknown
+ */
+async function updateWatch(id, body, owner = {}) {
+  const data = parseWatchInput(body, { partial: true })
+  await checkWebhookHost(data)
+  const db = getPrisma()
+  if (!await db.watch.findFirst({ where: { id, ...owner } })) {
+    return null
+  }
+  const watch = await db.watch.update({ where: { id }, data })
+  return serializeWatch(watch)
+}
+
+async function deleteWatch(id, owner = {}) {
+  const { count } = await getPrisma().watch.deleteMany({ where: { id, ...owner } })
+  return count > 0
+}
+
+/**
+ * Scrape a watch's event and notify its webhook about new or cheaper matching tickets.
+ * The caller is responsible for charging the scrape to the watch's key.
+ * @param {number} id Watch ID
+ * @param {Object} [owner] Prisma `where` filter from ownedBy(client), limiting the watches the caller may check
+ * @returns {Promise<Object|null>} { matched, notified, deliveryId }, or null if unknown
+ */
+async function checkWatch(id, owner = {}) {
+  const db = getPrisma()
+  const watch = await db.watch.findFirst({ where: { id, ...owner } })
+  if (!watch) {
+    return null
+  }
+
+  const checkedAt = new Date()
+  let scrape
+  try {
+    scrape = await runScrape(watch.url, { retry: SINGLE_ATTEMPT })
+  } catch (error) {
+    // Failed checks still count, so the watch waits a full interval before retrying
+    await db.watch.update({ where: { id }, data: { lastCheckedAt: checkedAt } })
+    throw error
+  }
+
+  const { tickets, runId } = scrape
+  const { notify, lastMatches } = evaluateWatch(watch, tickets)
+
+  await db.watch.update({
+    where: { id },
+    data: { lastCheckedAt: checkedAt, lastMatches }
+  })
+
+  let delivery = null
+  if (notify.length > 0) {
+    delivery = await enqueueDelivery(watch.id, {
+      type: 'watch.matched',
+      watchId: watch.id,
+      url: watch.url,
+      runId,
+      checkedAt: checkedAt.toISOString(),
+      tickets: notify
+    })
+  }
+
+  return {
+    matched: Object.keys(lastMatches).length,
+    notified: notify.length,
+    deliveryId: delivery ? delivery.id : null
+  }
+}
+
+// Scheduled checks are charged to the watch's key; when it is revoked or out of quota the check is skipped for an interval
+async function checkOwnedWatch(watch) {
+  if (!await chargeScheduledScrape(watch.apiKeyId)) {
+    console.log(`Watch ${watch.id} skipped: its API key is revoked or out of quota`)
+    await getPrisma().watch.updateMany({ where: { id: watch.id }, data: { lastCheckedAt: new Date() } })
+    return null
+  }
+  return checkWatch(watch.id)
+}
+
+async function listDueWatches(now) {
+  const watches = await getPrisma().watch.findMany({ where: { active: true } })
+  return watches.filter(watch => {
+    const dueAt = watch.lastCheckedAt ? watch.lastCheckedAt.getTime() + watch.intervalMinutes * 60 * 1000 : 0
+    return dueAt <= now.getTime()
+  })
+}
+
+// Run by the shared poller in due_jobs.js
+const watchJobs = {
+  name: 'Watch',
+  listDue: listDueWatches,
+  async run(watch) {
+    const result = await checkOwnedWatch(watch)
+    if (result) {
+      console.log(`Watch ${watch.id} checked: ${result.matched} matching, ${result.notified} notified`)
+    }
+  }
+}
+
+export {
+  matchesWatch,
+  evaluateWatch,
+  createWatch,
+  listWatches,
+  getWatch,
+  updateWatch,
+  deleteWatch,
+  checkWatch,
+  watchJobs,
+  WatchValidationError
+}
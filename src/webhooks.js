@@ -0,0 +1,271 @@
+import { createHmac } from 'crypto'
+import dns from 'dns'
+import https from 'https'
+import net from 'net'
+import { getPrisma } from './db.js'
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '', 10) || 5
+const WEBHOOK_TIMEOUT_MS = 10 * 1000; // 10 seconds per attempt
+const BACKOFF_BASE_MS = 2 * 1000; // 2s, 4s, 8s, ...
+const BACKOFF_MAX_MS = 5 * 60 * 1000; // 5 minutes
+
+class WebhookUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookUrlError';
+  }
+}
+
+// Loopback, link-local (including cloud metadata at 169.254.169.254), private and other non-public ranges.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 subnets.
+const BLOCKED_ADDRESSES = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+}
+
+/**
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is loopback, link-local, private or otherwise not publicly routable
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address)
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+/**
+ * Check a webhook URL without resolving it: https only, no credentials, and no private IP literal or localhost.
+ * Host names are resolved and checked again by assertPublicHost and on every delivery.
+ * @param {string} value Webhook URL
+ * @returns {string|null} Error message, or null if the URL is acceptable
+ */
+function validateWebhookUrl(value) {
+  let url
+  try {
+    url = new URL(value)
+  } catch (error) {
+    return 'webhookUrl must be a valid URL'
+  }
+  if (url.protocol !== 'https:') {
+    return 'webhookUrl must be an https URL'
+  }
+  if (url.username || url.password) {
+    return 'webhookUrl must not contain credentials'
+  }
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1')
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    return 'webhookUrl must not point at a loopback, link-local or private address'
+  }
+  return null
+}
+
+/**
+ * Resolve a host name and refuse it if any of its addresses is not public.
+ * @param {string} hostname Host name or IP literal
+ * @param {Object} [options] dns.lookup options
+ * @returns {Promise<Array<{address: string, family: number}>>} Resolved addresses
+ * @throws {WebhookUrlError} If the host does not resolve or resolves to a non-public address
+ */
+async function assertPublicHost(hostname, options = {}) {
+  let addresses
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[(.*)\]$/, '$1'), { ...options, all: true })
+  } catch (error) {
+    throw new WebhookUrlError(`webhookUrl host ${hostname} could not be resolved`)
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new WebhookUrlError(`webhookUrl host ${hostname} resolves to a loopback, link-local or private address`)
+  }
+  return addresses
+}
+
+// Used as the socket's lookup so the address that is checked is the address that is connected to,
+// even if DNS changes between validation and delivery
+function lookupPublicAddress(hostname, options, callback) {
+  assertPublicHost(hostname, { family: options.family, hints: options.hints })
+    .then(addresses => options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family))
+    .catch(error => callback(error))
+}
+
+/**
+ * HMAC-SHA256 signature over "<timestamp>.<body>".
+ * Receivers recompute it with the watch secret and compare against X-AXS-Signature.
+ * @param {string} secret Watch secret
+ * @param {string} timestamp Unix timestamp in seconds
+ * @param {string} body Raw JSON body
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `sha256=${digest}`
+}
+
+function backoffDelay(attempt) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS)
+}
+
+// Redirects are not followed, since they could lead to a non-public address
+function postSigned(webhookUrl, secret, payload) {
+  const urlError = validateWebhookUrl(webhookUrl)
+  if (urlError) {
+    return Promise.reject(new WebhookUrlError(urlError))
+  }
+
+  const body = JSON.stringify(payload)
+  const timestamp = String(Math.floor(Date.now() / 1000))
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-AXS-Timestamp': timestamp,
+        'X-AXS-Signature': signPayload(secret, timestamp, body)
+      },
+      lookup: lookupPublicAddress,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      response.resume()
+      resolve(response.statusCode)
+    })
+    request.on('error', reject)
+    request.end(body)
+  })
+}
+
+/**
+ * Attempt a delivery until it succeeds or runs out of attempts, backing off between attempts.
+ * Every attempt is written to the delivery log.
+ * @param {number} deliveryId WebhookDelivery ID
+ * @returns {Promise<Object>} Final delivery record
+ */
+async function deliverWebhook(deliveryId) {
+  const db = getPrisma()
+  let delivery = await db.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { watch: true }
+  })
+
+  while (delivery.status === 'pending') {
+    const attempt = delivery.attempts + 1
+    let statusCode = null
+    let lastError = null
+
+    try {
+      statusCode = await postSigned(delivery.watch.webhookUrl, delivery.watch.secret, delivery.payload)
+      if (statusCode < 200 || statusCode >= 300) {
+        lastError = `Webhook responded with HTTP ${statusCode}`
+      }
+    } catch (error) {
+      lastError = error.message
+    }
+
+    const delivered = lastError === null
+    const exhausted = !delivered && attempt >= WEBHOOK_MAX_ATTEMPTS
+    const delay = backoffDelay(attempt)
+
+    delivery = await db.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        attempts: attempt,
+        lastStatusCode: statusCode,
+        lastError,
+        status: delivered ? 'delivered' : exhausted ? 'failed' : 'pending',
+        deliveredAt: delivered ? new Date() : null,
+        nextAttemptAt: delivered || exhausted ? null : new Date(Date.now() + delay)
+      },
+      include: { watch: true }
+    })
+
+    if (delivery.status === 'pending') {
+      console.log(`Webhook delivery ${delivery.id} attempt ${attempt} failed (${lastError}), retrying in ${Math.round(delay / 1000)}s`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+
+  if (delivery.status === 'failed') {
+    console.error(`❌ Webhook delivery ${delivery.id} failed after ${delivery.attempts} attempts: ${delivery.lastError}`)
+  } else {
+    console.log(`✅ Webhook delivery ${delivery.id} delivered`)
+  }
+
+  return delivery
+}
+
+/**
+ * Log a payload for a watch and deliver it in the background.
+ * @param {number} watchId Watch ID
+ * @param {Object} payload JSON payload
+ * @returns {Promise<Object>} Created delivery record
+ */
+async function enqueueDelivery(watchId, payload) {
+  const delivery = await getPrisma().webhookDelivery.create({
+    data: { watchId, payload, nextAttemptAt: new Date() }
+  })
+
+  deliverWebhook(delivery.id).catch(error => {
+    console.error(`Error delivering webhook ${delivery.id}:`, error.message)
+  })
+
+  return delivery
+}
+
+/**
+ * Restart deliveries that were still pending when the process last stopped.
+ * Each one waits until its stored nextAttemptAt, so a restart doesn't cut the backoff short.
+ * @returns {Promise<number>} Number of deliveries resumed
+ */
+async function resumePendingDeliveries() {
+  const pending = await getPrisma().webhookDelivery.findMany({
+    where: { status: 'pending' },
+    select: { id: true, nextAttemptAt: true }
+  })
+
+  const now = Date.now()
+  for (const { id, nextAttemptAt } of pending) {
+    const delay = nextAttemptAt ? Math.max(0, nextAttemptAt.getTime() - now) : 0
+    setTimeout(() => {
+      deliverWebhook(id).catch(error => {
+        console.error(`Error delivering webhook ${id}:`, error.message)
+      })
+    }, delay)
+  }
+
+  return pending.length
+}
+
+/**
+ * @param {number} watchId Watch ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of deliveries, newest first
+ * @returns {Promise<Array>} Delivery log entries
+ */
+async function listDeliveries(watchId, { limit = 50 } = {}) {
+  return getPrisma().webhookDelivery.findMany({
+    where: { watchId },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  })
+}
+
+export {
+  WebhookUrlError,
+  isPrivateAddress,
+  validateWebhookUrl,
+  assertPublicHost,
+  signPayload,
+  deliverWebhook,
+  enqueueDelivery,
+  resumePendingDeliveries,
+  listDeliveries
+}
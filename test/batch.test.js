@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { runBatch } from '../src/batch.js'
+
+describe('runBatch', () => {
+  it('reports entries cancelled before they got a session as not started', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    const results = []
+
+    const summary = await runBatch([
+      { url: 'https://tix.axs.com/mock-event?e=1001' },
+      { url: 'https://tix.axs.com/mock-event?e=1002' }
+    ], { signal: controller.signal, onResult: result => results.push(result) })
+
+    assert.deepEqual(summary, { total: 2, succeeded: 0, failed: 2, started: 0 })
+    assert.deepEqual(results.map(result => [result.eventId, result.error.code]), [['1001', 'SCRAPE_CANCELLED'], ['1002', 'SCRAPE_CANCELLED']])
+  })
+})
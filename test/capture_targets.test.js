@@ -0,0 +1,75 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { globToRegExp, resolveCaptureTargets, matchCaptureTarget, CaptureTargetError } from '../src/capture_targets.js'
+
+const VERITIX = 'https://unifiedapicommerce.us-prod0.axs.com/veritix'
+
+describe('globToRegExp', () => {
+  it('matches * within one path segment', () => {
+    const pattern = globToRegExp('/inventory/*/sections')
+    assert.equal(pattern.test('/inventory/123/sections'), true)
+    assert.equal(pattern.test('/inventory//sections'), true)
+    assert.equal(pattern.test('/inventory/123/456/sections'), false)
+  })
+
+  it('matches ** across segments, and **/ also matches no segment', () => {
+    const pattern = globToRegExp('**/veritix/*/price')
+    assert.equal(pattern.test('/veritix/123/price'), true)
+    assert.equal(pattern.test('/api/v1/veritix/123/price'), true)
+    assert.equal(pattern.test('/veritix/123/price/extra'), false)
+
+    const trailing = globToRegExp('/pre-flow/**')
+    assert.equal(trailing.test('/pre-flow/v2/abc/def'), true)
+    assert.equal(trailing.test('/pre-flow/'), true)
+  })
+
+  it('matches ? as a single character other than a slash', () => {
+    const pattern = globToRegExp('/v?/price')
+    assert.equal(pattern.test('/v4/price'), true)
+    assert.equal(pattern.test('/v42/price'), false)
+    assert.equal(pattern.test('///price'), false)
+  })
+
+  it('matches other characters literally', () => {
+    const pattern = globToRegExp('/offer.search+(1)')
+    assert.equal(pattern.test('/offer.search+(1)'), true)
+    assert.equal(pattern.test('/offerXsearch+(1)'), false)
+    assert.equal(pattern.test('/offer.searchh(1)'), false)
+  })
+})
+
+describe('resolveCaptureTargets', () => {
+  afterEach(() => {
+    delete process.env.CAPTURE_TARGETS
+  })
+
+  it('matches the built-in inventory targets against the URL path only', () => {
+    const targets = resolveCaptureTargets()
+    assert.equal(matchCaptureTarget(targets, `${VERITIX}/inventory/V2/123/sections?x=1`).name, 'sections')
+    assert.equal(matchCaptureTarget(targets, `${VERITIX}/inventory/V2/123/offer/search`).name, 'offerSearch')
+    assert.equal(matchCaptureTarget(targets, `${VERITIX}/inventory/v4/123/price`).name, 'price')
+    assert.equal(matchCaptureTarget(targets, `${VERITIX}/pre-flow/v2/123/abc`).name, 'preFlow')
+    assert.equal(matchCaptureTarget(targets, `https://example.com/?u=/veritix/inventory/v4/123/price`), null)
+    assert.equal(matchCaptureTarget(targets, 'not a url'), null)
+  })
+
+  it('adds regex targets from CAPTURE_TARGETS and the caller, optional by default', () => {
+    process.env.CAPTURE_TARGETS = JSON.stringify([{ name: 'eventDetails', regex: '/events/\\d+/details$' }])
+    const targets = resolveCaptureTargets([{ name: 'seatMap', glob: '**/seatmap/*.json', required: true }])
+    const eventDetails = matchCaptureTarget(targets, `${VERITIX}/events/42/details`)
+    assert.equal(eventDetails.name, 'eventDetails')
+    assert.equal(eventDetails.required, false)
+    assert.equal(matchCaptureTarget(targets, `${VERITIX}/seatmap/42.json`).filename, 'seat_map')
+  })
+
+  it('rejects invalid, duplicate and reserved targets', () => {
+    assert.throws(() => resolveCaptureTargets([{ name: 'price', glob: '**/price' }]), /Duplicate capture target: price/)
+    assert.throws(() => resolveCaptureTargets([{ name: 'event', glob: '**/event' }]), /reserved/)
+    assert.throws(() => resolveCaptureTargets([{ name: 'both', glob: '**/a', regex: 'a' }]), /either a glob or a regex/)
+    assert.throws(() => resolveCaptureTargets([{ name: 'bad', regex: '(' }]), /invalid regex/)
+    assert.throws(() => resolveCaptureTargets({}), CaptureTargetError)
+
+    process.env.CAPTURE_TARGETS = '{'
+    assert.throws(() => resolveCaptureTargets(), /CAPTURE_TARGETS is not valid JSON/)
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from '../src/replay.js'
+import { estimateCheckout, CheckoutEstimateError } from '../src/checkout.js'
+
+describe('estimateCheckout', () => {
+  let bundle
+
+  before(async () => {
+    bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+  })
+
+  it('itemizes a listing with per-item fees and taxes, connection fees and the per-order fee once', () => {
+    const listing = { section: '101', row: 'A', seats: '1,2,3,4', priceLevelId: 'PL1' }
+    const estimate = estimateCheckout(bundle, { listing, quantity: 2 })
+
+    assert.equal(estimate.seats, '1,2')
+    assert.equal(estimate.priceLevelId, 'PL1')
+    assert.deepEqual(estimate.items.map(item => [item.number, item.faceValue, item.fees, item.tax, item.connectionFee, item.total]), [
+      [1, 89, 8.5, 8.65, 1.5, 107.65],
+      [2, 89, 8.5, 8.65, 1.5, 107.65]
+    ])
+    assert.equal(estimate.faceValue, 178)
+    assert.equal(estimate.perItemFees, 17)
+    assert.equal(estimate.perItemTax, 17.31)
+    assert.equal(estimate.connectionFees, 3)
+    assert.equal(estimate.orderFees, 3.95)
+    assert.equal(estimate.orderTax, 0)
+    assert.deepEqual(estimate.orderFeeLines.map(line => [line.id, line.amount]), [['FEE-ORDER', 3.95]])
+    // 178 + 17 + 17.30625 + 3 + 3.95
+    assert.equal(estimate.total, 219.26)
+    assert.equal(estimate.perTicket, 109.63)
+  })
+
+  it('picks the cheapest seats in a row when no listing is given', () => {
+    const price = structuredClone(bundle.price)
+    price.offerPrices[0].zonePrices[0].rawDynamicPrices = { 'PT1-S102-R102C-102-C-10-PL2': 13500 }
+    const estimate = estimateCheckout({ ...bundle, price }, { section: '102', row: 'C', quantity: 1 })
+
+    assert.equal(estimate.seats, '11')
+    assert.equal(estimate.items[0].isDynamicPricing, false)
+  })
+
+  it('only picks seats from categories the request opted in to', () => {
+    const offerSearch = structuredClone(bundle.offerSearch)
+    offerSearch.offers.push({
+      offerID: 'OFFER-RESALE',
+      offerType: 'FLASHSEATS',
+      items: [1, 2].map(number => ({
+        id: `101-D-${number}`,
+        number: String(number),
+        sectionID: 'S101',
+        sectionLabel: '101',
+        rowID: 'R101D',
+        rowLabel: 'D',
+        priceLevelID: 'PL1'
+      }))
+    })
+    const axsResults = { ...bundle, offerSearch }
+
+    assert.throws(() => estimateCheckout(axsResults, { section: '101', row: 'D', quantity: 2 }), /No 2 consecutive seats available/)
+    assert.equal(estimateCheckout(axsResults, { section: '101', row: 'D', quantity: 2, includeResale: true }).seats, '1,2')
+  })
+
+  it('rejects invalid requests and seats that are not available', () => {
+    const listing = { section: '101', row: 'B', seats: '7,8', priceLevelId: 'PL1' }
+
+    assert.throws(() => estimateCheckout(bundle, { listing, quantity: 0 }), CheckoutEstimateError)
+    assert.throws(() => estimateCheckout(bundle, { listing, quantity: 3 }), /Listing only has 2 seats/)
+    assert.throws(() => estimateCheckout(bundle, { listing: { ...listing, seats: '8,9' }, quantity: 2 }), /are not all available/)
+    assert.throws(() => estimateCheckout(bundle), /quantity must be a positive integer/)
+    assert.throws(() => estimateCheckout(bundle, { quantity: 2 }), /Provide a listing, or a section and row/)
+    assert.throws(() => estimateCheckout(bundle, { section: '101', row: 'A', quantity: 2, includeResale: 'yes' }), /includeResale must be a boolean/)
+  })
+})
@@ -0,0 +1,171 @@
+/**
+ * Persistence tests against a throwaway SQLite database.
+ * The schema is pushed with the prisma CLI; the tests are skipped when the Prisma client or engines are unavailable
+ * (run npm run db:generate first). The schema itself is always validated, which needs no engines.
+ */
+import { describe, it, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url))
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axs-db-test-'))
+process.env.DATABASE_URL = `file:${path.join(tempDir, 'test.db')}`
+
+const { getPrisma, recordScrapeRun, listEvents } = await import('../src/db.js')
+const { getRunChanges } = await import('../src/history.js')
+
+function setUpDatabase() {
+  try {
+    execFileSync(path.join(rootDir, 'node_modules', '.bin', 'prisma'), ['db', 'push', '--skip-generate'], {
+      cwd: rootDir,
+      env: process.env,
+      stdio: 'pipe'
+    })
+    getPrisma()
+    return false
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+    return `SQLite test database unavailable: ${String(error.message).split('\n')[0]}`
+  }
+}
+
+const skip = setUpDatabase()
+
+describe('prisma schema', () => {
+  it('is valid', () => {
+    // validate only needs the schema parser bundled with the CLI; pointing the engine paths at an existing file
+    // keeps the CLI from trying to download engines it won't use
+    const placeholder = path.join(rootDir, 'package.json')
+    const output = execFileSync(path.join(rootDir, 'node_modules', '.bin', 'prisma'), ['validate'], {
+      cwd: rootDir,
+      env: {
+        ...process.env,
+        PRISMA_QUERY_ENGINE_LIBRARY: placeholder,
+        PRISMA_SCHEMA_ENGINE_BINARY: placeholder
+      },
+      stdio: 'pipe'
+    })
+    assert.match(String(output), /is valid/)
+  })
+})
+
+const eventUrl = (eventId) => `https://tix.axs.com/mock-event?e=${eventId}`
+
+const ticket = (section, row, seats, cost) => ({
+  section,
+  row,
+  seats,
+  quantity: seats.split(',').length,
+  face_price: cost - 10,
+  taxed_cost: 5,
+  cost,
+  connection_fee: 5,
+  isDynamicPricing: false,
+  category: 'standard',
+  offerType: 'STANDARD'
+})
+
+const at = (minutes) => new Date(Date.UTC(2030, 0, 1, 12, minutes))
+
+const record = (eventId, minutes, tickets) => recordScrapeRun({
+  url: eventUrl(eventId),
+  startedAt: at(minutes),
+  finishedAt: at(minutes + 1),
+  tickets
+})
+
+describe('scrape run storage', { skip }, () => {
+  after(async () => {
+    await getPrisma().$disconnect()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  it('records successful and failed runs on one event per AXS event id', async () => {
+    const success = await record('1001', 0, [ticket('101', 'A', '1,2', 100)])
+    const failure = await recordScrapeRun({
+      url: `${eventUrl('1001')}&utm_source=newsletter`,
+      startedAt: at(5),
+      finishedAt: at(6),
+      error: Object.assign(new Error('Scraper has been blocked by AXS'), { name: 'ScraperBlockedError' })
+    })
+
+    assert.equal(success.outcome, 'success')
+    assert.equal(success.ticketCount, 1)
+    assert.equal(failure.outcome, 'failed')
+    assert.equal(failure.errorClass, 'ScraperBlockedError')
+    assert.equal(failure.ticketCount, 0)
+    assert.equal(failure.eventId, success.eventId)
+
+    const stored = await getPrisma().listing.findMany({ where: { runId: success.id } })
+    assert.deepEqual(stored.map(listing => [listing.section, listing.row, listing.seats, listing.cost]), [['101', 'A', '1,2', 100]])
+  })
+
+  it('stores concurrent runs of one event on the same event', async () => {
+    const runs = await Promise.all([
+      record('1501', 0, [ticket('101', 'A', '1,2', 100)]),
+      record('1501', 0, [ticket('101', 'A', '1,2', 100)])
+    ])
+
+    assert.equal(runs[0].eventId, runs[1].eventId)
+    assert.equal(await getPrisma().event.count({ where: { axsEventId: '1501' } }), 1)
+  })
+
+  it('lists events by their latest run, most recent first', async () => {
+    await record('2001', 10, [])
+    await record('2002', 20, [])
+    await record('2001', 30, [])
+
+    const { events: listed } = await listEvents()
+    const events = listed.filter(event => event.axsEventId.startsWith('200'))
+    assert.deepEqual(events.map(event => event.axsEventId), ['2001', '2002'])
+    assert.equal(events[0].runCount, 2)
+    assert.equal(events[0].latestRun.startedAt.getTime(), at(30).getTime())
+  })
+
+  it('pages through events with a cursor', async () => {
+    await record('2101', 200, [])
+    await record('2102', 210, [])
+    await record('2103', 220, [])
+
+    const first = await listEvents({ limit: 2 })
+    assert.deepEqual(first.events.map(event => event.axsEventId), ['2103', '2102'])
+    assert.equal(first.nextCursor, first.events[1].id)
+
+    const second = await listEvents({ limit: 2, cursor: first.nextCursor })
+    assert.equal(second.events[0].axsEventId, '2101')
+  })
+
+  it('compares a run with the previous successful run of its event', async () => {
+    const previous = await record('3001', 0, [
+      ticket('101', 'A', '1,2', 100),
+      ticket('101', 'B', '3,4', 120),
+      ticket('102', 'C', '5,6', 90)
+    ])
+    await recordScrapeRun({ url: eventUrl('3001'), startedAt: at(5), finishedAt: at(6), error: new Error('Timeout') })
+    const latest = await record('3001', 10, [
+      ticket('101', 'A', '1,2', 110),
+      ticket('101', 'B', '3,4', 100),
+      ticket('103', 'D', '7,8', 80)
+    ])
+
+    const { runId, previousRunId, changes } = await getRunChanges(latest.id)
+    assert.equal(runId, latest.id)
+    assert.equal(previousRunId, previous.id)
+    assert.deepEqual(changes.priceUp.map(change => [change.section, change.previousCost, change.delta]), [['101', 100, 10]])
+    assert.deepEqual(changes.priceDown.map(change => [change.row, change.previousCost, change.delta]), [['B', 120, -20]])
+    assert.deepEqual(changes.new.map(change => change.section), ['103'])
+    assert.deepEqual(changes.removed.map(change => change.section), ['102'])
+    assert.equal(changes.unchanged, 0)
+  })
+
+  it('reports no previous run for an event scraped once', async () => {
+    const only = await record('4001', 0, [ticket('101', 'A', '1,2', 100)])
+    const { previousRunId, changes } = await getRunChanges(only.id)
+    assert.equal(previousRunId, null)
+    assert.equal(changes.new.length, 1)
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { runDueJobs } from '../src/due_jobs.js'
+
+describe('runDueJobs', () => {
+  it('runs every due record once until it finishes', async () => {
+    const runs = []
+    let finish
+    const finished = new Promise(resolve => { finish = resolve })
+
+    const slow = {
+      name: 'Watch',
+      listDue: async () => [{ id: 1 }],
+      run: async record => {
+        runs.push(`watch ${record.id}`)
+        await finished
+      }
+    }
+    const fast = {
+      name: 'Schedule',
+      listDue: async () => [{ id: 1 }, { id: 2 }],
+      run: async record => { runs.push(`schedule ${record.id}`) }
+    }
+
+    assert.equal(await runDueJobs([slow, fast]), 3)
+    await new Promise(resolve => setImmediate(resolve))
+    // Schedule 1 is not confused with watch 1, which is still running
+    assert.equal(await runDueJobs([slow, fast]), 2)
+
+    finish()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(await runDueJobs([slow]), 1)
+    assert.equal(runs.filter(run => run === 'watch 1').length, 2)
+  })
+
+  it('keeps polling other kinds when one fails', async () => {
+    const ran = []
+    const broken = { name: 'Watch', listDue: async () => { throw new Error('database is locked') }, run: async () => {} }
+    const working = { name: 'Schedule', listDue: async () => [{ id: 7 }], run: async record => { ran.push(record.id) } }
+
+    assert.equal(await runDueJobs([broken, working]), 1)
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepEqual(ran, [7])
+  })
+})
@@ -0,0 +1,76 @@
+/**
+ * End-to-end scrapes of the mock AXS server (src/mock_server.js) with the local browser provider.
+ * Needs CHROME_EXECUTABLE_PATH (and LOCAL_BROWSER_ARGS="--no-sandbox" when running as root); skipped without it.
+ * Run with npm run test:e2e.
+ */
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from '../../src/replay.js'
+import { createMockServer } from '../../src/mock_server.js'
+
+// Captcha waits are a minute against AXS; the mock either fires the pre-flow request within seconds or never
+process.env.CAPTCHA_TIMEOUT_MS = process.env.CAPTCHA_TIMEOUT_MS || '5000'
+const { scrapeAxsTickets, ScraperBlockedError, CaptchaTimeoutError, DataCaptureError } = await import('../../src/scrape.js')
+
+const skip = process.env.CHROME_EXECUTABLE_PATH ? false : 'CHROME_EXECUTABLE_PATH is not set'
+
+describe('scrapeAxsTickets against the mock AXS server', { skip, timeout: 5 * 60 * 1000 }, () => {
+  let server
+  let baseUrl
+
+  const scrape = (query, options = {}) => scrapeAxsTickets(`${baseUrl}/mock?e=mock-event&${query}`, {
+    browserOptions: { provider: 'local' },
+    ...options
+  })
+
+  before(async () => {
+    const bundle = await loadCaptureBundle(fileURLToPath(new URL('../../fixtures/mock', import.meta.url)))
+    server = await new Promise(resolve => {
+      const listening = createMockServer(bundle).listen(0, () => resolve(listening))
+    })
+    baseUrl = `http://localhost:${server.address().port}`
+    // Lets the event metadata read the event id from the mock URL
+    process.env.AXS_EXTRA_HOSTS = `localhost:${server.address().port}`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  it('captures and parses every response in the ok scenario', async () => {
+    let captured = null
+    const tickets = await scrape('scenario=ok', { onCapture: result => { captured = result } })
+
+    assert.equal(tickets.length, 4)
+    assert.deepEqual(tickets.map(ticket => `${ticket.section} ${ticket.row}`).sort(), ['101 A', '101 B', '102 C', 'FLR A 1'])
+    assert.equal(captured.event.eventId, 'mock-event')
+    assert.equal(captured.event.venue.name, 'Mock Arena')
+  })
+
+  it('falls back to the pre-flow response for event metadata when the page has none', async () => {
+    let captured = null
+    await scrape('scenario=ok&pageMetadata=false', { onCapture: result => { captured = result } })
+
+    assert.equal(captured.event.name, 'Mock AXS event mock-event')
+    assert.equal(captured.event.venue.name, 'Mock Arena')
+    assert.equal(captured.event.timezone, 'America/Los_Angeles')
+    assert.equal(captured.event.utcOffset, '-07:00')
+    assert.equal(captured.event.currency, 'USD')
+  })
+
+  it('captures the responses after clicking refresh in the refresh scenario', async () => {
+    const tickets = await scrape('scenario=refresh')
+    assert.equal(tickets.length, 4)
+  })
+
+  it('fails with ScraperBlockedError when the blocking modal shows', async () => {
+    await assert.rejects(scrape('scenario=blocked'), ScraperBlockedError)
+  })
+
+  it('fails with CaptchaTimeoutError when the captcha is never solved', async () => {
+    await assert.rejects(scrape('scenario=no-preflow'), CaptchaTimeoutError)
+  })
+
+  it('fails with DataCaptureError when a required response is missing', async () => {
+    await assert.rejects(scrape('scenario=ok&missing=price', { maxSessionMs: 30 * 1000 }), DataCaptureError)
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildEventMetadata } from '../src/event_metadata.js'
+
+const url = 'https://tix.axs.com/gHEUIQ?e=123'
+
+const jsonLd = JSON.stringify({
+  '@context': 'https://schema.org',
+  '@graph': [{
+    '@type': 'MusicEvent',
+    name: 'Page Event',
+    startDate: '2030-06-01T19:30:00-0700',
+    location: { '@type': 'Place', name: 'Page Arena', address: { addressLocality: 'Los Angeles', addressCountry: { name: 'US' } } },
+    offers: [{ priceCurrency: 'USD' }]
+  }]
+})
+
+const preFlow = {
+  status: 'OK',
+  event: {
+    eventName: 'Veritix Event',
+    eventDateTime: '2030-06-01T19:30:00+01:00',
+    venue: { name: 'Veritix Hall', timezone: 'Europe/London' },
+    currencyCode: 'GBP'
+  }
+}
+
+describe('buildEventMetadata', () => {
+  it('reads the page JSON-LD first', () => {
+    const event = buildEventMetadata({ jsonLd: [jsonLd], meta: {}, title: 'Title' }, url, [preFlow])
+
+    assert.equal(event.eventId, '123')
+    assert.equal(event.name, 'Page Event')
+    assert.equal(event.startDate, '2030-06-01T19:30:00-0700')
+    assert.equal(event.utcOffset, '-07:00')
+    assert.equal(event.venue.name, 'Page Arena')
+    assert.equal(event.venue.city, 'Los Angeles')
+    assert.equal(event.venue.country, 'US')
+    assert.equal(event.currency, 'USD')
+    // Only veritix names a time zone
+    assert.equal(event.timezone, 'Europe/London')
+  })
+
+  it('falls back to the veritix responses when the page has no metadata', () => {
+    const event = buildEventMetadata({ jsonLd: [], meta: {}, title: 'Title' }, url, [preFlow, null, {}])
+
+    assert.equal(event.name, 'Veritix Event')
+    assert.equal(event.startDate, '2030-06-01T19:30:00+01:00')
+    assert.equal(event.utcOffset, '+01:00')
+    assert.equal(event.timezone, 'Europe/London')
+    assert.equal(event.venue.name, 'Veritix Hall')
+    assert.equal(event.currency, 'GBP')
+  })
+
+  it('only reports IANA time zones', () => {
+    for (const timezone of ['PST', '-07:00', 'Not/AZone']) {
+      const event = buildEventMetadata({}, url, [{ timezone }])
+      assert.equal(event.timezone, null, timezone)
+    }
+    assert.equal(buildEventMetadata({}, url, [{ timeZone: 'America/New_York' }]).timezone, 'America/New_York')
+  })
+
+  it('falls back to Open Graph tags and the title, with null for everything else', () => {
+    const event = buildEventMetadata({ jsonLd: ['{ broken'], meta: { 'og:image': 'https://img/x.png' }, title: 'Page title' }, 'not a url')
+
+    assert.equal(event.eventId, null)
+    assert.equal(event.name, 'Page title')
+    assert.equal(event.image, 'https://img/x.png')
+    assert.equal(event.startDate, null)
+    assert.equal(event.utcOffset, null)
+    assert.equal(event.timezone, null)
+    assert.equal(event.venue, null)
+    assert.equal(event.currency, null)
+  })
+})
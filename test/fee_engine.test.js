@@ -0,0 +1,142 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from '../src/replay.js'
+import {
+  buildFeeMap,
+  buildTaxMap,
+  evaluateFeeComponent,
+  evaluateFees,
+  priceItem,
+  priceOrderFees
+} from '../src/fee_engine.js'
+
+describe('evaluateFeeComponent', () => {
+  it('looks up the range holding the base in dollars, with end 0 as open-ended', () => {
+    const component = {
+      calculationMethod: 'Lookup',
+      lookupRanges: [
+        { start: 0, end: 100, amount: 850 },
+        { start: 100, end: 0, amount: 1450 }
+      ]
+    }
+    assert.equal(evaluateFeeComponent(component, 8900), 850)
+    assert.equal(evaluateFeeComponent(component, 9999), 850)
+    assert.equal(evaluateFeeComponent(component, 10000), 1450)
+    assert.equal(evaluateFeeComponent(component, 500000), 1450)
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Lookup', lookupRanges: [{ start: 10, end: 20, amount: 5 }] }, 500), 0)
+  })
+
+  it('charges a Percentage of the base, rounded to roundOff when given', () => {
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Percentage', rate: 10 }, 12345), 1234.5)
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Percentage', rate: 10, roundOff: 100 }, 12345), 1200)
+  })
+
+  it('charges a Fixed amount whatever the base', () => {
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Fixed', amount: 395 }, 8900), 395)
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Fixed', amount: 395 }, 0), 395)
+  })
+
+  it('charges nothing for unknown or incomplete components', () => {
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Tiered', amount: 395 }, 8900), 0)
+    assert.equal(evaluateFeeComponent({ calculationMethod: 'Percentage' }, 8900), 0)
+  })
+})
+
+describe('priceItem', () => {
+  let price
+  let feeMap
+  let taxMap
+  let lowerLevel
+
+  before(async () => {
+    const bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+    price = bundle.price
+    feeMap = buildFeeMap(price)
+    taxMap = buildTaxMap(price)
+    lowerLevel = price.offerPrices[0].zonePrices[0].priceLevels[0].prices[0]
+  })
+
+  const pricePL1 = (dynamicPrice = null) => priceItem({
+    priceComponents: lowerLevel.priceComponents,
+    baseAmount: lowerLevel.base,
+    dynamicPrice,
+    offerFees: price.offerPrices[0].fees,
+    feeMap,
+    taxMap
+  })
+
+  it('taxes the components and per-item fees, and keeps per-order fees apart', () => {
+    const pricing = pricePL1()
+
+    assert.equal(pricing.baseComponent, 8000)
+    assert.equal(pricing.facilityFee, 900)
+    assert.equal(pricing.totalFees, 850)
+    // 8.875% of 8000 + 900 + 850
+    assert.equal(pricing.totalTax, 865.3125)
+    assert.equal(pricing.total, 8900 + 850 + 865.3125)
+    assert.deepEqual(pricing.lines.map(line => [line.type, line.id, line.amount]), [
+      ['component', 'Base Component', 8000],
+      ['component', 'VEN_FacFee', 900],
+      ['fee', 'FEE-SERVICE', 850],
+      ['tax', 'TAX-SALES', 865.3125]
+    ])
+    assert.deepEqual(pricing.orderFees.map(line => [line.id, line.amount]), [['FEE-ORDER', 395]])
+  })
+
+  it('recomputes the fees and taxes against a dynamic price', () => {
+    const pricing = pricePL1(13500)
+
+    assert.equal(pricing.baseAmount, 13500)
+    assert.equal(pricing.baseComponent, 12600)
+    assert.equal(pricing.facilityFee, 900)
+    assert.equal(pricing.totalFees, 1450)
+    assert.equal(pricing.totalTax, (13500 + 1450) * 8.875 / 100)
+  })
+
+  it('skips fees with an unknown applicationMethod', () => {
+    const fees = [...price.fees, {
+      id: 'FEE-NEW',
+      applicationMethod: 'PerSeatPerDay',
+      components: [{ calculationMethod: 'Fixed', amount: 1000 }]
+    }]
+    const lines = evaluateFees([...price.offerPrices[0].fees, { id: 'FEE-NEW' }], buildFeeMap({ fees }), 8900)
+    assert.deepEqual(lines.map(line => line.id), ['FEE-SERVICE'])
+  })
+
+  it('matches numeric tax IDs against the tax map', () => {
+    const pricing = priceItem({
+      priceComponents: [{ name: 'Base Component', amount: 5000, taxIds: [7] }],
+      baseAmount: 5000,
+      offerFees: [],
+      feeMap: {},
+      taxMap: buildTaxMap({ taxes: [{ id: 7, name: 'City Tax', rate: 10 }, { id: 'FLAT', amount: 100 }] })
+    })
+    assert.equal(pricing.totalTax, 500)
+    assert.deepEqual(pricing.lines.filter(line => line.type === 'tax').map(line => [line.id, line.taxableAmount]), [['7', 5000]])
+  })
+})
+
+describe('priceOrderFees', () => {
+  it('charges each per-order fee once against the subtotal, with its taxes', () => {
+    const price = {
+      fees: [
+        { id: 'ORDER', applicationMethod: 'PerOrder', components: [{ calculationMethod: 'Fixed', amount: 395, taxIds: ['TAX'] }] },
+        { id: 'HANDLING', applicationMethod: 'PerTransaction', components: [{ calculationMethod: 'Percentage', rate: 2 }] },
+        { id: 'SERVICE', applicationMethod: 'PerItem', components: [{ calculationMethod: 'Fixed', amount: 850 }] }
+      ],
+      taxes: [{ id: 'TAX', rate: 10 }, { id: 'FLAT', amount: 50 }]
+    }
+    const orderFees = priceOrderFees({
+      offerFees: [{ id: 'ORDER' }, { id: 'HANDLING' }, { id: 'SERVICE' }],
+      feeMap: buildFeeMap(price),
+      taxMap: buildTaxMap(price),
+      subtotal: 20000
+    })
+
+    assert.equal(orderFees.totalFees, 395 + 400)
+    // FLAT is applied only to lines tagged with it, and none are
+    assert.equal(orderFees.totalTax, 39.5)
+    assert.deepEqual(orderFees.lines.map(line => [line.type, line.id]), [['fee', 'ORDER'], ['fee', 'HANDLING'], ['tax', 'TAX']])
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from '../src/replay.js'
+import { parseAXSTickets } from '../src/parse_tickets.js'
+
+// One row of consecutive PL1 seats per run length, numbered from 1
+function runsBundle (bundle, runLengths) {
+  const items = runLengths.flatMap((length, row) => Array.from({ length }, (_, i) => ({
+    id: `101-R${row}-${i + 1}`,
+    number: String(i + 1),
+    displayOrder: i + 1,
+    sectionID: 'S101',
+    sectionLabel: '101',
+    rowID: `R101-${row}`,
+    rowLabel: `R${length}`,
+    priceLevelID: 'PL1'
+  })))
+  return { ...bundle, offerSearch: { offers: [{ offerID: 'OFFER-STD', offerType: 'STANDARD', items }] } }
+}
+
+describe('parseAXSTickets seat grouping', () => {
+  let bundle
+
+  before(async () => {
+    bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+  })
+
+  it('parses the mock fixtures with the default options', async () => {
+    const tickets = await parseAXSTickets(bundle)
+    const seats = tickets.map(ticket => `${ticket.section} ${ticket.row}: ${ticket.seats}`).sort()
+    assert.deepEqual(seats, ['101 A: 1,2,3,4', '101 B: 7,8', '102 C: 10,11,12', 'FLR A 1: 5,6'])
+  })
+
+  it('keeps the first group of at most 4 seats of each run by default', async () => {
+    const tickets = await parseAXSTickets(runsBundle(bundle, [4, 5, 6, 9]))
+    const seatsByRow = Object.fromEntries(tickets.map(ticket => [ticket.row, ticket.seats]))
+    assert.deepEqual(seatsByRow, {
+      R4: '1,2,3,4',
+      R5: '1,2,3,4',
+      R6: '1,2,3,4',
+      R9: '1,2,3,4'
+    })
+  })
+
+  it('splits runs evenly only when splitRuns is set', async () => {
+    const tickets = await parseAXSTickets(runsBundle(bundle, [5, 9]), { splitRuns: true, mode: 'all' })
+    const seats = tickets.map(ticket => `${ticket.row}: ${ticket.seats}`).sort()
+    assert.deepEqual(seats, ['R5: 1,2,3', 'R5: 4,5', 'R9: 1,2,3', 'R9: 4,5,6', 'R9: 7,8,9'])
+  })
+})
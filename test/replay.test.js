@@ -0,0 +1,33 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle, normalizeCaptureBundle, bundleEventMetadata } from '../src/replay.js'
+
+describe('capture bundle replay', () => {
+  let bundle
+
+  before(async () => {
+    bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+  })
+
+  it('keeps the url, capture time and event metadata saved with a bundle', () => {
+    const event = { eventId: '1001', name: 'Saved Event' }
+    const normalized = normalizeCaptureBundle({
+      ...bundle,
+      url: 'https://tix.axs.com/mock-event?e=1001',
+      capturedAt: '2030-01-01T12:00:00.000Z',
+      event
+    })
+
+    assert.equal(normalized.capturedAt, '2030-01-01T12:00:00.000Z')
+    assert.equal(bundleEventMetadata(normalized), event)
+  })
+
+  it('builds event metadata from the url and veritix responses when none was saved', () => {
+    const normalized = normalizeCaptureBundle({ ...bundle, url: 'https://tix.axs.com/mock-event?e=1001' })
+    const event = bundleEventMetadata(normalized)
+
+    assert.equal(event.eventId, '1001')
+    assert.deepEqual(Object.keys(event), ['eventId', 'name', 'startDate', 'endDate', 'doorTime', 'utcOffset', 'timezone', 'venue', 'currency', 'image'])
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from '../src/replay.js'
+import { validateCapture, validateResponse, assertCaptureSchema, SchemaDriftError } from '../src/response_schemas.js'
+
+describe('veritix response schemas', () => {
+  let bundle
+
+  before(async () => {
+    bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+  })
+
+  it('accepts the mock fixtures', () => {
+    assert.equal(validateCapture(bundle).valid, true)
+  })
+
+  it('accepts every optional part the parser can do without', () => {
+    const offerSearch = { offers: [...bundle.offerSearch.offers, { offerID: 'OFFER-EMPTY' }] }
+    assert.deepEqual(validateResponse('offerSearch', offerSearch), [])
+
+    const price = structuredClone(bundle.price)
+    price.offerPrices.push({ zonePrices: [{}, { priceLevels: [{ priceLevelID: 'PL9' }] }] })
+    price.offerPrices.push({})
+    price.offerPrices.push({ zonePrices: [{ priceLevels: [{ priceLevelID: 'PL10', prices: [{ base: 5000 }] }] }] })
+    price.fees[0].components[0].taxIds = [42]
+    assert.deepEqual(validateResponse('price', price), [])
+  })
+
+  it('reports missing, renamed and mistyped fields once per path', () => {
+    const offerSearch = structuredClone(bundle.offerSearch)
+    for (const item of offerSearch.offers[0].items) {
+      item.priceLevelId = item.priceLevelID
+      delete item.priceLevelID
+      delete item.rowLabel
+    }
+    offerSearch.offers[0].items[0].sectionLabel = 101
+
+    const issues = validateResponse('offerSearch', offerSearch)
+    assert.deepEqual(issues.map(issue => [issue.path, issue.problem, issue.found, issue.occurrences]), [
+      ['offerSearch.offers[].items[].sectionLabel', 'wrong_type', 'number', 1],
+      ['offerSearch.offers[].items[].rowLabel', 'missing', null, 11],
+      ['offerSearch.offers[].items[].priceLevelID', 'renamed', 'priceLevelId', 11]
+    ])
+  })
+
+  it('throws SchemaDriftError with the report for text bodies', () => {
+    assert.throws(() => assertCaptureSchema({ ...bundle, price: '<html>' }), error => {
+      assert.ok(error instanceof SchemaDriftError)
+      assert.deepEqual(error.report.responses, ['price'])
+      assert.equal(error.report.issues[0].problem, 'not_json')
+      return true
+    })
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { scrapeWithRetry, normalizeRetryOptions, RETRYABLE_ERRORS } from '../src/retry.js'
+import {
+  ScraperBlockedError,
+  CaptchaTimeoutError,
+  BrowserConnectionError,
+  DataCaptureError,
+  TicketParseError
+} from '../src/scrape.js'
+import { ERROR_CODES } from '../src/error_codes.js'
+import { SchemaDriftError } from '../src/response_schemas.js'
+import { ParseOptionsError } from '../src/parse_tickets.js'
+import { BrowserProviderError } from '../src/browser_providers.js'
+
+const url = 'https://tix.axs.com/gHEUIQ?e=123'
+
+// Fails with the given errors in turn, then resolves with an empty ticket list
+function scripted (errors) {
+  const calls = []
+  const scrape = async (scrapeUrl, options) => {
+    calls.push(options)
+    const error = errors[calls.length - 1]
+    if (error) {
+      throw error
+    }
+    return []
+  }
+  return { scrape, calls }
+}
+
+describe('scrapeWithRetry', () => {
+  it('allows 3 attempts by default', { skip: process.env.SCRAPE_MAX_ATTEMPTS ? 'SCRAPE_MAX_ATTEMPTS is set' : false }, async () => {
+    assert.equal(normalizeRetryOptions().maxAttempts, 3)
+
+    const { scrape, calls } = scripted([new ScraperBlockedError('blocked'), new ScraperBlockedError('blocked'), new ScraperBlockedError('blocked')])
+    const error = await scrapeWithRetry(url, { scrape, retry: { retryDelayMs: 0 } }).then(() => null, error => error)
+    assert.ok(error instanceof ScraperBlockedError)
+    assert.equal(calls.length, 3)
+    assert.deepEqual(error.attempts.map(attempt => attempt.errorCode), ['SCRAPER_BLOCKED', 'SCRAPER_BLOCKED', 'SCRAPER_BLOCKED'])
+  })
+
+  it('retries blocks, captcha timeouts and connection failures with a growing delay', async () => {
+    const { scrape, calls } = scripted([
+      new ScraperBlockedError('blocked'),
+      new CaptchaTimeoutError('captcha'),
+      new BrowserConnectionError('connection')
+    ])
+    const progress = []
+    const { tickets, attempts } = await scrapeWithRetry(url, {
+      scrape,
+      retry: { maxAttempts: 4, retryDelayMs: 5 },
+      onProgress: event => progress.push(event)
+    })
+
+    assert.deepEqual(tickets, [])
+    assert.equal(calls.length, 4)
+    assert.deepEqual(attempts.map(attempt => attempt.outcome), ['failed', 'failed', 'failed', 'success'])
+    assert.deepEqual(attempts.map(attempt => attempt.errorClass), ['ScraperBlockedError', 'CaptchaTimeoutError', 'BrowserConnectionError', null])
+    assert.deepEqual(progress.map(event => [event.type, event.attempt, event.delayMs]), [
+      ['retrying', 1, 5],
+      ['retrying', 2, 10],
+      ['retrying', 3, 15]
+    ])
+  })
+
+  it('does not retry capture, schema or parse failures', async () => {
+    for (const failure of [
+      new DataCaptureError('missing price'),
+      new TicketParseError('Failed to parse ticket data'),
+      new SchemaDriftError('drift', { issues: [] }),
+      new ParseOptionsError('bad option'),
+      new Error('unexpected')
+    ]) {
+      const { scrape, calls } = scripted([failure])
+      await assert.rejects(scrapeWithRetry(url, { scrape, retry: { maxAttempts: 5, retryDelayMs: 0 } }), failure)
+      assert.equal(calls.length, 1, failure.name)
+      assert.equal(failure.attempts.length, 1)
+    }
+  })
+
+  it('tells clients to retry exactly the errors it retries itself', () => {
+    const retryable = Object.keys(ERROR_CODES).filter(name => ERROR_CODES[name].retryable && name !== 'QueueTimeoutError')
+    assert.deepEqual(retryable.sort(), [...RETRYABLE_ERRORS].sort())
+  })
+
+  it('stops at the deadline and caps each session at the time left', async () => {
+    const { scrape, calls } = scripted([new ScraperBlockedError('blocked'), new ScraperBlockedError('blocked')])
+    await assert.rejects(
+      scrapeWithRetry(url, { scrape, retry: { maxAttempts: 5, deadlineMs: 1000, retryDelayMs: 1000 } }),
+      ScraperBlockedError
+    )
+    // The 1 second delay would end past the deadline, so no second attempt is started
+    assert.equal(calls.length, 1)
+    assert.ok(calls[0].maxSessionMs > 0 && calls[0].maxSessionMs <= 1000)
+  })
+
+  it('rotates proxy countries per attempt', async () => {
+    const { scrape, calls } = scripted([new ScraperBlockedError('blocked'), new ScraperBlockedError('blocked')])
+    const { attempts } = await scrapeWithRetry(url, {
+      scrape,
+      browserOptions: { provider: 'scrapeless' },
+      retry: { maxAttempts: 3, retryDelayMs: 0, proxyCountries: ['US', 'GB'] }
+    })
+
+    assert.deepEqual(calls.map(call => call.browserOptions.proxyCountry), ['US', 'GB', 'US'])
+    assert.deepEqual(attempts.map(attempt => attempt.proxyCountry), ['US', 'GB', 'US'])
+  })
+  it('does not retry a browser provider that is not configured', { skip: process.env.CDP_BROWSER_WS_ENDPOINT ? 'CDP_BROWSER_WS_ENDPOINT is set' : false }, async () => {
+    // The real scraper, which fails before any session is opened
+    const error = await scrapeWithRetry(url, {
+      browserOptions: { provider: 'cdp' },
+      retry: { maxAttempts: 3, retryDelayMs: 0 }
+    }).then(() => null, error => error)
+
+    assert.ok(error instanceof BrowserProviderError)
+    assert.deepEqual(error.attempts.map(attempt => attempt.errorCode), ['BROWSER_PROVIDER_NOT_CONFIGURED'])
+  })
+})
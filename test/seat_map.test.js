@@ -0,0 +1,139 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'url'
+import { loadCaptureBundle } from '../src/replay.js'
+import { parseAXSTickets } from '../src/parse_tickets.js'
+import { buildSeatMap, rankListings } from '../src/seat_map.js'
+import { summarizeSections } from '../src/section_summary.js'
+
+// One seat per section, at the given position
+function positionedBundle (bundle, sections, stage) {
+  const sectionsData = {}
+  const items = []
+  for (const [label, position] of Object.entries(sections)) {
+    sectionsData[label] = { sectionID: `S${label}`, label }
+    items.push({ id: `${label}-A-1`, number: '1', sectionID: `S${label}`, sectionLabel: label, rowID: `R${label}A`, rowLabel: 'A', priceLevelID: 'PL1', ...position })
+  }
+  if (stage) {
+    sectionsData.STAGE = stage
+  }
+  return { ...bundle, sections: sectionsData, offerSearch: { offers: [{ offerID: 'OFFER-STD', items }] } }
+}
+
+const ticket = (section, row, seats, cost) => ({ section, row, seats, cost, quantity: seats.split(',').length })
+
+describe('buildSeatMap', () => {
+  let bundle
+
+  before(async () => {
+    bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+  })
+
+  it('lists sections, rows and seats in display order', () => {
+    const seatMap = buildSeatMap(bundle)
+
+    assert.equal(seatMap.hasCoordinates, false)
+    assert.equal(seatMap.stage, null)
+    assert.deepEqual(seatMap.sections.map(section => [section.section, section.level, section.availableSeats]), [
+      ['101', 1, 6],
+      ['102', 1, 3],
+      ['FLR A', 0, 2]
+    ])
+    const section101 = seatMap.sections[0]
+    assert.deepEqual(section101.rows.map(row => [row.row, row.rowNumber, row.seats.map(seat => seat.number)]), [
+      ['A', 1, [1, 2, 3, 4]],
+      ['B', 2, [7, 8]]
+    ])
+    assert.equal(section101.connectionFee, 1.5)
+  })
+
+  it('leaves the STAGE entry out of the sections, as the section summary does', () => {
+    const staged = positionedBundle(bundle, { 101: { x: 0, y: 10 }, 102: { x: 10, y: 10 } }, { x: 5, y: 0 })
+    const seatMap = buildSeatMap(staged)
+
+    assert.deepEqual(seatMap.stage, { x: 5, y: 0 })
+    assert.deepEqual(seatMap.sections.map(section => section.section), ['101', '102'])
+    assert.deepEqual(summarizeSections(staged).map(section => section.section), ['101', '102'])
+  })
+
+  it('takes numbered sections on the same level as adjacent without coordinates', () => {
+    const { adjacency } = buildSeatMap(bundle)
+    assert.deepEqual(adjacency, {
+      basis: 'labels',
+      sections: { 101: ['102'], 102: ['101'], 'FLR A': [] }
+    })
+  })
+
+  it('uses seat coordinates for adjacency when AXS provides them', () => {
+    const seatMap = buildSeatMap(positionedBundle(bundle, {
+      101: { x: 0, y: 0 },
+      102: { x: 2, y: 0 },
+      110: { x: 100, y: 100 }
+    }))
+
+    assert.equal(seatMap.hasCoordinates, true)
+    assert.deepEqual(seatMap.adjacency, {
+      basis: 'coordinates',
+      sections: { 101: ['102'], 102: ['101'], 110: [] }
+    })
+    assert.deepEqual(seatMap.sections[0].bounds, { minX: 0, minY: 0, maxX: 0, maxY: 0 })
+  })
+
+  it('places rows by the full row order of the sections response', () => {
+    const sections = structuredClone(bundle.sections)
+    sections['101'].rows = [{ rowID: 'R101AA', label: 'AA' }, { rowID: 'R101A', label: 'A' }, { rowID: 'R101B', label: 'B' }]
+    const section101 = buildSeatMap({ ...bundle, sections }).sections[0]
+
+    assert.equal(section101.rowCount, 3)
+    assert.deepEqual(section101.rows.map(row => [row.row, row.rowNumber]), [['A', 2], ['B', 3]])
+  })
+})
+
+describe('rankListings', () => {
+  let bundle
+
+  before(async () => {
+    bundle = await loadCaptureBundle(fileURLToPath(new URL('../fixtures/mock', import.meta.url)))
+  })
+
+  it('ranks the floor first, then front rows', async () => {
+    const tickets = await parseAXSTickets(bundle)
+    const ranked = rankListings(tickets, buildSeatMap(bundle))
+
+    assert.deepEqual(ranked.map(listing => [listing.section, listing.row, listing.sectionLevel, listing.rowNumber, listing.seatScore]), [
+      ['FLR A', '1', 0, 1, 100],
+      ['101', 'A', 1, 1, 60],
+      ['101', 'B', 1, 2, 40],
+      ['102', 'C', 1, 3, 20]
+    ])
+  })
+
+  it('scores sections by stage distance when the map has the stage and section positions', () => {
+    const axsResults = positionedBundle(bundle, {
+      101: { x: 0, y: 10 },
+      102: { x: 0, y: 50 },
+      201: { x: 0, y: 30 }
+    }, { x: 0, y: 0 })
+    const ranked = rankListings([
+      ticket('101', 'A', '1', 120),
+      ticket('102', 'A', '1', 80),
+      ticket('201', 'A', '1', 60)
+    ], buildSeatMap(axsResults))
+
+    assert.deepEqual(ranked.map(listing => [listing.section, listing.seatScore]), [['101', 100], ['201', 80], ['102', 60]])
+  })
+
+  it('breaks ties on cost and puts seats missing from the map last', () => {
+    const ranked = rankListings([
+      ticket('101', 'A', '1,2', 200),
+      ticket('999', 'A', '1,2', 10),
+      ticket('101', 'A', '3,4', 150)
+    ], buildSeatMap(bundle))
+
+    assert.deepEqual(ranked.map(listing => [listing.section, listing.seats, listing.seatScore]), [
+      ['101', '3,4', 47],
+      ['101', '1,2', 47],
+      ['999', '1,2', null]
+    ])
+  })
+})
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSessionQueue, QueueTimeoutError } from '../src/session_queue.js'
+import { ScrapeCancelledError } from '../src/scrape.js'
+
+// A task that runs until finish() is called
+function deferredTask (name, started) {
+  let finish
+  const done = new Promise(resolve => { finish = resolve })
+  const task = async () => {
+    started.push(name)
+    await done
+    return name
+  }
+  return { task, finish: () => finish() }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+describe('createSessionQueue', () => {
+  it('runs at most maxConcurrent tasks and starts the rest in FIFO order', async () => {
+    const queue = createSessionQueue({ maxConcurrent: 2, queueTimeoutMs: 60 * 1000 })
+    const started = []
+    const tasks = ['a', 'b', 'c', 'd'].map(name => deferredTask(name, started))
+    const results = tasks.map(({ task }) => queue.run(task))
+
+    await tick()
+    assert.deepEqual(started, ['a', 'b'])
+    assert.deepEqual(queue.stats(), { active: 2, queued: 2, maxConcurrent: 2 })
+
+    tasks[1].finish()
+    assert.equal(await results[1], 'b')
+    await tick()
+    assert.deepEqual(started, ['a', 'b', 'c'])
+
+    tasks[0].finish()
+    tasks[2].finish()
+    await tick()
+    assert.deepEqual(started, ['a', 'b', 'c', 'd'])
+    tasks[3].finish()
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c', 'd'])
+    assert.deepEqual(queue.stats(), { active: 0, queued: 0, maxConcurrent: 2 })
+  })
+
+  it('reports each waiting task its position as the queue moves, and 0 when it starts', async () => {
+    const queue = createSessionQueue({ maxConcurrent: 1, queueTimeoutMs: 60 * 1000 })
+    const started = []
+    const names = ['a', 'b', 'c']
+    const tasks = names.map(name => deferredTask(name, started))
+    const positions = { a: [], b: [], c: [] }
+    const results = tasks.map(({ task }, index) => queue.run(task, {
+      onPosition: position => positions[names[index]].push(position)
+    }))
+
+    tasks[0].finish()
+    await results[0]
+    tasks[1].finish()
+    await results[1]
+    tasks[2].finish()
+    await results[2]
+
+    assert.deepEqual(positions, { a: [0], b: [1, 0], c: [2, 1, 0] })
+  })
+
+  it('removes a cancelled task from the queue and moves the others up', async () => {
+    const queue = createSessionQueue({ maxConcurrent: 1, queueTimeoutMs: 60 * 1000 })
+    const started = []
+    const running = deferredTask('a', started)
+    const cancelled = deferredTask('b', started)
+    const waiting = deferredTask('c', started)
+    const controller = new AbortController()
+    const positions = []
+
+    const first = queue.run(running.task)
+    const second = queue.run(cancelled.task, { signal: controller.signal })
+    const third = queue.run(waiting.task, { onPosition: position => positions.push(position) })
+
+    controller.abort()
+    await assert.rejects(second, ScrapeCancelledError)
+    assert.deepEqual(queue.stats(), { active: 1, queued: 1, maxConcurrent: 1 })
+    assert.deepEqual(positions, [2, 1])
+
+    running.finish()
+    waiting.finish()
+    assert.deepEqual(await Promise.all([first, third]), ['a', 'c'])
+    assert.deepEqual(started, ['a', 'c'])
+
+    await assert.rejects(queue.run(async () => 'late', { signal: controller.signal }), ScrapeCancelledError)
+  })
+
+  it('fails a task that waits longer than its queue timeout', async () => {
+    const queue = createSessionQueue({ maxConcurrent: 1, queueTimeoutMs: 60 * 1000 })
+    const started = []
+    const running = deferredTask('a', started)
+    const first = queue.run(running.task)
+
+    await assert.rejects(queue.run(async () => 'b', { timeoutMs: 10 }), QueueTimeoutError)
+    assert.deepEqual(queue.stats(), { active: 1, queued: 0, maxConcurrent: 1 })
+
+    running.finish()
+    assert.equal(await first, 'a')
+  })
+
+  it('frees the slot when a task fails', async () => {
+    const queue = createSessionQueue({ maxConcurrent: 1, queueTimeoutMs: 60 * 1000 })
+    await assert.rejects(queue.run(async () => { throw new Error('blocked') }), /blocked/)
+    assert.equal(await queue.run(async () => 'next'), 'next')
+  })
+})